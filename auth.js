@@ -0,0 +1,334 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "./models/User.js";
+import Session from "./models/Session.js";
+import AccountToken from "./models/AccountToken.js";
+import { sendTemplatedEmail } from "./mailer.js";
+import { hasPermission } from "./permissions.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS =
+  (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Fail fast when the auth configuration is missing (called at startup).
+ */
+export const assertAuthConfig = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET environment variable is not set");
+  }
+};
+
+/**
+ * Sign a short-lived access token for a user's session.
+ * Claims: sub (user id), sid (session id), email, role, username.
+ */
+export const issueToken = (user, session) =>
+  jwt.sign(
+    {
+      sub: String(user._id),
+      sid: String(session._id),
+      email: user.email,
+      role: user.role,
+      username: user.username,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Client details stored with a session so users can recognise it
+const getClientInfo = (req) => ({
+  userAgent: req.headers["user-agent"] || "",
+  ip: req.ip || "",
+});
+
+/**
+ * Open a new session for a user (login).
+ * Resolves to { token, refreshToken, session }.
+ */
+export const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.open(user._id, {
+    ...getClientInfo(req),
+    ttlMs: REFRESH_TOKEN_TTL_MS,
+  });
+
+  return { token: issueToken(user, session), refreshToken, session };
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * A refresh token that was already used revokes the whole session, since
+ * it means the token was copied. Resolves to null when refreshing is not
+ * possible.
+ */
+export const refreshSession = async (refreshToken, req) => {
+  if (!refreshToken) return null;
+
+  const { session, reused } = await Session.findByRefreshToken(refreshToken);
+  if (!session || !session.isActive()) return null;
+
+  if (reused) {
+    await session.revoke("refresh-token-reuse");
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}`);
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await session.revoke("user-deleted");
+    return null;
+  }
+
+  session.ip = getClientInfo(req).ip;
+  const newRefreshToken = await session.rotate(REFRESH_TOKEN_TTL_MS);
+
+  return {
+    token: issueToken(user, session),
+    refreshToken: newRefreshToken,
+    session,
+  };
+};
+
+/**
+ * User id from a valid access token in the request, or null. Only checks
+ * the signature (no database lookup), e.g. for keying rate limits before
+ * the route authenticates.
+ */
+export const getTokenSubject = (req) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).sub || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Authentication middleware - verifies the token and loads the user,
+// so req.user is the current User document (id, email, role, username...)
+export const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (!token) {
+    return res.status(401).json({ message: "Access denied" });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      // Client should call /api/users/refresh
+      return res.status(401).json({ message: "Token expired" });
+    }
+    return res.status(403).json({ message: "Invalid token" });
+  }
+
+  // Tokens issued before sessions existed have no session id
+  if (!payload.sub || !payload.sid) {
+    return res.status(403).json({ message: "Invalid token" });
+  }
+
+  try {
+    const session = await Session.findById(payload.sid);
+
+    if (
+      !session ||
+      !session.isActive() ||
+      String(session.userId) !== payload.sub
+    ) {
+      return res.status(401).json({ message: "Session has ended" });
+    }
+
+    const user = await User.findById(payload.sub).select("-password");
+
+    if (!user) {
+      return res.status(401).json({ message: "User no longer exists" });
+    }
+
+    req.user = user;
+    req.authSession = session;
+    req.tokenPayload = payload;
+    next();
+  } catch (error) {
+    console.error("Error authenticating user:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Only users who verified their email address (listing, bidding)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: "Verify your email address first",
+      reason: "email_not_verified",
+    });
+  }
+  next();
+};
+
+// Admin middleware
+export const isAdmin = (req, res, next) => {
+  if (req.user.role !== "admin") {
+    return res.status(403).json({ message: "Admin access required" });
+  }
+  next();
+};
+
+/**
+ * Allow the request only for users whose role has every given permission
+ * (see permissions.js), e.g. requirePermission("products:moderate").
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user.role, permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: "Insufficient permissions",
+        missing,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Allow the request only for the owner of a resource or an admin.
+ * `resourceLoader(req)` resolves to the resource (or null when it does not
+ * exist); the loaded resource is passed on as req.resource.
+ *
+ * Options:
+ * - ownerField: field holding the owner's user id (default "userId")
+ * - allowIf(req, resource): grants access to further users, e.g. a winner
+ * - permission: grants access to staff roles with this permission
+ * - notFoundMessage / forbiddenMessage: response messages
+ */
+export const requireOwnerOrAdmin = (
+  resourceLoader,
+  {
+    ownerField = "userId",
+    allowIf = null,
+    permission = null,
+    notFoundMessage = "Resource not found",
+    forbiddenMessage = "Not authorized to modify this resource",
+  } = {}
+) => {
+  return async (req, res, next) => {
+    try {
+      const resource = await resourceLoader(req);
+
+      if (!resource) {
+        return res.status(404).json({ message: notFoundMessage });
+      }
+
+      const isOwner = String(resource[ownerField]) === String(req.user.id);
+      const isAllowed =
+        isOwner ||
+        req.user.role === "admin" ||
+        Boolean(permission && hasPermission(req.user.role, permission)) ||
+        Boolean(allowIf && allowIf(req, resource));
+
+      if (!isAllowed) {
+        return res.status(403).json({ message: forbiddenMessage });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error("Error checking resource owner:", error);
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+// Compare secrets in constant time
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Allow internal services (cron) that send the X-Service-Token header
+ * matching SERVICE_TOKEN; everyone else must be an authenticated admin.
+ */
+export const requireAdminOrServiceToken = (req, res, next) => {
+  const serviceToken = req.headers["x-service-token"];
+
+  if (serviceToken) {
+    if (
+      process.env.SERVICE_TOKEN &&
+      safeEqual(serviceToken, process.env.SERVICE_TOKEN)
+    ) {
+      req.isService = true;
+      return next();
+    }
+    return res.status(403).json({ message: "Invalid service token" });
+  }
+
+  authenticateToken(req, res, () => isAdmin(req, res, next));
+};
+
+// Issue a single-use token and email it to the user
+const sendAccountTokenEmail = async (user, purpose, template, ttlMs) => {
+  const token = await AccountToken.issue(user, purpose, ttlMs);
+
+  return sendTemplatedEmail({
+    to: user.email,
+    template,
+    language: user.language,
+    data: {
+      name: user.name,
+      token,
+      expiresAt: new Date(Date.now() + ttlMs),
+    },
+    context: { userId: String(user._id) },
+  });
+};
+
+/**
+ * Email a link that verifies the user's current address.
+ */
+export const sendEmailVerification = (user) =>
+  sendAccountTokenEmail(
+    user,
+    "email-verification",
+    "emailVerification",
+    EMAIL_VERIFICATION_TTL_MS
+  );
+
+/**
+ * Email a link for setting a new password.
+ */
+export const sendPasswordReset = (user) =>
+  sendAccountTokenEmail(
+    user,
+    "password-reset",
+    "passwordReset",
+    PASSWORD_RESET_TTL_MS
+  );
+
+/**
+ * Use up a token from an email link. Resolves to { user, accountToken }, or
+ * null when the token is invalid, expired, used, or was sent to an address
+ * the user no longer has.
+ */
+export const consumeAccountToken = async (token, purpose) => {
+  const accountToken = await AccountToken.consume(token, purpose);
+  if (!accountToken) return null;
+
+  const user = await User.findById(accountToken.userId);
+  if (!user || user.email !== accountToken.email) return null;
+
+  return { user, accountToken };
+};
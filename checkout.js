@@ -0,0 +1,439 @@
+import mongoose from "mongoose";
+import Product from "./models/Product.js";
+import Order from "./models/Order.js";
+import {
+  resolvePaymentMethod,
+  payForOrder,
+} from "./payments/paymentService.js";
+
+/**
+ * Error thrown when a checkout cannot be completed.
+ * `errors` holds one message per item that could not be purchased.
+ */
+export class CheckoutError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "CheckoutError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a product can be bought in the given quantity by the buyer
+ * (`{ id, email }`). Returns an error message or null when the purchase is
+ * allowed.
+ */
+export const getPurchaseError = (product, quantity, buyer) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return "Količina mora biti pozitivan cijeli broj";
+  }
+
+  if (product.isHidden) {
+    return "Proizvod trenutno nije dostupan";
+  }
+
+  if (product.stock < quantity) {
+    return `Nedovoljna količina na stanju. Dostupno: ${product.stock}`;
+  }
+
+  if (product.isBidding && product.biddingStatus === "active") {
+    if (product.canBuyItNow()) {
+      return quantity === 1
+        ? null
+        : "Opcijom Kupi odmah može se kupiti samo jedan komad";
+    }
+    return "Proizvod je trenutno na licitaciji i ne može se kupiti direktno";
+  }
+
+  if (
+    (product.biddingStatus === "reserved" || product.reservedForWinner) &&
+    !product.isBestBidder(buyer.id, buyer.email)
+  ) {
+    return "Proizvod je rezerviran za pobjednika licitacije";
+  }
+
+  if (product.isBidding && product.reserveNotMet) {
+    return "Licitacija je završena bez postignute minimalne cijene";
+  }
+
+  return null;
+};
+
+// Standalone MongoDB servers reject transactions with IllegalOperation (20)
+const isTransactionUnsupported = (error) =>
+  error &&
+  (error.code === 20 ||
+    /Transaction numbers are only allowed/i.test(error.message || ""));
+
+/**
+ * Validate one cart item and take its quantity off the stock with a
+ * conditional $inc, so concurrent checkouts can never oversell.
+ * Returns `{ line, reservation }` or `{ error }`.
+ */
+const reserveItem = async (item, buyer, session) => {
+  const { productId } = item;
+  const quantity = Number(item.quantity ?? 1);
+
+  if (!productId || !String(productId).match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: `Nevaljan ID proizvoda: ${productId}` };
+  }
+
+  const product = await Product.findById(productId, null, { session });
+
+  if (!product) {
+    return { error: `Proizvod nije pronađen: ${productId}` };
+  }
+
+  const purchaseError = getPurchaseError(product, quantity, buyer);
+  if (purchaseError) {
+    return { error: `${product.name}: ${purchaseError}` };
+  }
+
+  // An active auction can only be bought through Buy-It-Now, which ends it
+  if (product.isBidding && product.biddingStatus === "active") {
+    return reserveBuyItNow(product, buyer, session);
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    {
+      _id: product._id,
+      stock: { $gte: quantity },
+      $or: [{ isBidding: { $ne: true } }, { biddingStatus: { $ne: "active" } }],
+    },
+    { $inc: { stock: -quantity } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    return {
+      error: `${product.name}: Proizvod je u međuvremenu rasprodan ili nedostupan`,
+    };
+  }
+
+  const reservation = {
+    productId: product._id,
+    quantity,
+    previousStatus: updated.biddingStatus,
+    markedSold: false,
+  };
+
+  // If stock reaches 0, mark as sold
+  if (updated.stock === 0) {
+    await Product.updateOne(
+      { _id: product._id, stock: 0 },
+      { $set: { biddingStatus: "sold" } },
+      { session }
+    );
+    reservation.markedSold = true;
+  }
+
+  return {
+    reservation,
+    line: toOrderLine(product, quantity, product.currentPrice),
+  };
+};
+
+// Order line for one product
+const toOrderLine = (product, quantity, unitPrice) => ({
+  productId: product._id,
+  productName: product.name,
+  image: product.image,
+  sellerId: product.userId,
+  sellerEmail: product.userEmail,
+  quantity,
+  unitPrice,
+  totalPrice: unitPrice * quantity,
+});
+
+// Undo a Buy-It-Now purchase, as long as the product is still in the state
+// the purchase left it in. The auction reopens as it was before; if its
+// end time has passed meanwhile it is closed like Product.closeAuction does.
+const restoreAuction = async (product) => {
+  const now = new Date();
+  const filter = {
+    _id: product._id,
+    soldViaBuyItNow: true,
+    biddingStatus: { $in: ["ended", "sold"] },
+    bidVersion: (product.bidVersion || 0) + 1,
+  };
+  const restored = {
+    currentPrice: product.currentPrice,
+    bestBidderId: product.bestBidderId,
+    bestBidder: product.bestBidder,
+    bestBidderEmail: product.bestBidderEmail,
+    soldViaBuyItNow: false,
+  };
+  const inc = { stock: 1, bidVersion: 1 };
+
+  const reopened = await Product.updateOne(
+    { ...filter, biddingEndTime: { $gt: now } },
+    { $set: { ...restored, biddingStatus: "active" }, $inc: inc }
+  );
+  if (reopened.nModified > 0) return;
+
+  await Product.updateOne(
+    { ...filter, biddingEndTime: { $lte: now } },
+    {
+      $set: {
+        ...restored,
+        biddingStatus: "ended",
+        reservedForWinner: Boolean(product.bestBidder && product.reserveMet),
+        reserveNotMet: Boolean(product.bestBidder && !product.reserveMet),
+      },
+      $inc: inc,
+    }
+  );
+};
+
+// Buy one unit of an active auction at its Buy-It-Now price
+const reserveBuyItNow = async (product, buyer, session) => {
+  const sold = await Product.buyItNow(product, buyer, session);
+
+  if (!sold) {
+    return {
+      error: `${product.name}: Licitacija se promijenila, opcija Kupi odmah nije dostupna`,
+    };
+  }
+
+  return {
+    reservation: { productId: product._id, quantity: 1, auction: product },
+    line: toOrderLine(product, 1, product.buyItNowPrice),
+  };
+};
+
+/**
+ * Give reserved stock back (compensating rollback when no transaction is
+ * available).
+ */
+const releaseReservations = async (reservations) => {
+  for (const reservation of reservations) {
+    const update = { $inc: { stock: reservation.quantity } };
+    if (reservation.markedSold) {
+      update.$set = { biddingStatus: reservation.previousStatus };
+    }
+
+    try {
+      if (reservation.auction) {
+        await restoreAuction(reservation.auction);
+      } else {
+        await Product.updateOne({ _id: reservation.productId }, update);
+      }
+    } catch (error) {
+      console.error(
+        `❌ Failed to release stock for ${reservation.productId}:`,
+        error.message
+      );
+    }
+  }
+};
+
+// Reserve every item, collecting errors instead of stopping at the first one
+const reserveAll = async (items, buyer, session) => {
+  const lines = [];
+  const reservations = [];
+  const errors = [];
+
+  for (const item of items) {
+    const result = await reserveItem(item, buyer, session);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      lines.push(result.line);
+      reservations.push(result.reservation);
+    }
+  }
+
+  return { lines, reservations, errors };
+};
+
+// Save the pending order for the purchased lines; it is paid afterwards
+const createOrder = async (lines, buyer, paymentMethod, session) => {
+  const order = Order.buildFromItems({
+    buyerId: buyer.id,
+    buyerEmail: buyer.email,
+    items: lines,
+    paymentMethod: paymentMethod.brand ? `card:${paymentMethod.brand}` : "card",
+    paymentMethodId: paymentMethod._id,
+  });
+  await order.save({ session });
+  return order;
+};
+
+// Charge a new order and resolve to the paid order. When the payment fails
+// the order is cancelled and `releaseStock` gives the reserved stock back
+// before the error is rethrown (unless a webhook cancelled the order first).
+const chargeOrder = async (order, paymentMethod, buyer, releaseStock) => {
+  try {
+    const { order: paid } = await payForOrder(order, paymentMethod);
+    return paid;
+  } catch (error) {
+    // A payment.failed webhook may have cancelled and restocked it already
+    if (await order.cancel(buyer.id, error.message)) {
+      await releaseStock();
+    }
+    throw error;
+  }
+};
+
+// All-or-nothing checkout inside a MongoDB transaction
+const checkoutInTransaction = async (items, buyer, paymentMethod) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const { lines, reservations, errors } = await reserveAll(
+        items,
+        buyer,
+        session
+      );
+
+      if (errors.length > 0) {
+        throw new CheckoutError("Narudžba nije izvršena", errors);
+      }
+
+      const order = await createOrder(lines, buyer, paymentMethod, session);
+      result = { order, purchased: lines, errors: [], reservations };
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return result;
+};
+
+// All-or-nothing checkout that undoes stock changes by hand on failure
+const checkoutWithCompensation = async (items, buyer, paymentMethod) => {
+  const { lines, reservations, errors } = await reserveAll(items, buyer, null);
+
+  if (errors.length > 0) {
+    await releaseReservations(reservations);
+    throw new CheckoutError("Narudžba nije izvršena", errors);
+  }
+
+  try {
+    const order = await createOrder(lines, buyer, paymentMethod, null);
+    return { order, purchased: lines, errors: [], reservations };
+  } catch (error) {
+    await releaseReservations(reservations);
+    throw error;
+  }
+};
+
+// Best-effort checkout: buy what is available and report the rest
+const checkoutPartial = async (items, buyer, paymentMethod) => {
+  const { lines, reservations, errors } = await reserveAll(items, buyer, null);
+
+  if (lines.length === 0) {
+    throw new CheckoutError("Nijedan proizvod nije uspješno kupljen", errors);
+  }
+
+  try {
+    const order = await createOrder(lines, buyer, paymentMethod, null);
+    return { order, purchased: lines, errors, reservations };
+  } catch (error) {
+    await releaseReservations(reservations);
+    throw error;
+  }
+};
+
+/**
+ * End an active auction through its Buy-It-Now price and create the order.
+ * The product update is undone if the order cannot be saved.
+ */
+export const checkoutBuyItNow = async ({
+  product,
+  buyer,
+  paymentMethodId = null,
+}) => {
+  const paymentMethod = await resolvePaymentMethod(buyer.id, paymentMethodId);
+  const sold = await Product.buyItNow(product, buyer);
+
+  if (!sold) {
+    throw new CheckoutError("Kupi odmah više nije dostupan", [
+      `${product.name}: Licitacija se promijenila, opcija Kupi odmah nije dostupna`,
+    ]);
+  }
+
+  const line = toOrderLine(product, 1, product.buyItNowPrice);
+  const reopenAuction = () => restoreAuction(product);
+
+  let order;
+  try {
+    order = await createOrder([line], buyer, paymentMethod, null);
+  } catch (error) {
+    await reopenAuction();
+    throw error;
+  }
+
+  const paid = await chargeOrder(order, paymentMethod, buyer, reopenAuction);
+  return { order: paid, purchased: [line], errors: [] };
+};
+
+/**
+ * Purchase a list of `{ productId, quantity }` items for a buyer.
+ *
+ * By default the checkout is all-or-nothing: it runs in a transaction, or
+ * falls back to a compensating rollback on servers without transaction
+ * support. With `allowPartial` every item is bought independently and the
+ * ones that fail are returned in `errors`.
+ *
+ * The order is then charged to the buyer's saved card (`paymentMethodId`
+ * or the default one) and only marked paid after a successful capture.
+ *
+ * Items on an active auction are bought through Buy-It-Now, which ends the
+ * auction; their ids are listed in `auctionsSold`.
+ *
+ * Resolves to `{ order, purchased, errors, auctionsSold }`, throws
+ * CheckoutError when nothing was bought and PaymentError when the payment
+ * failed (the stock is released again).
+ */
+export const checkoutItems = async ({
+  items,
+  buyer,
+  paymentMethodId = null,
+  allowPartial = false,
+}) => {
+  const paymentMethod = await resolvePaymentMethod(buyer.id, paymentMethodId);
+
+  const { reservations, ...result } = await reserveAndCreateOrder(
+    items,
+    buyer,
+    paymentMethod,
+    allowPartial
+  );
+
+  const paid = await chargeOrder(result.order, paymentMethod, buyer, () =>
+    releaseReservations(reservations)
+  );
+
+  const auctionsSold = reservations
+    .filter((reservation) => reservation.auction)
+    .map((reservation) => reservation.productId);
+  return { ...result, order: paid, auctionsSold };
+};
+
+// Take the stock and save the pending order
+const reserveAndCreateOrder = async (
+  items,
+  buyer,
+  paymentMethod,
+  allowPartial
+) => {
+  if (allowPartial) {
+    return checkoutPartial(items, buyer, paymentMethod);
+  }
+
+  try {
+    return await checkoutInTransaction(items, buyer, paymentMethod);
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+
+    console.warn(
+      "⚠️ MongoDB transactions unavailable, using compensating rollback"
+    );
+    return checkoutWithCompensation(items, buyer, paymentMethod);
+  }
+};
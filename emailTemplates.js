@@ -0,0 +1,284 @@
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatPrice = (amount) => `${Number(amount || 0).toFixed(2)} €`;
+
+const formatDate = (date, language) =>
+  date
+    ? new Date(date).toLocaleString(language === "en" ? "en-GB" : "hr-HR", {
+        timeZone: "Europe/Zagreb",
+      })
+    : "";
+
+const productLink = (productId) => `${frontendUrl()}/products/${productId}`;
+
+const tokenLink = (page, token) =>
+  `${frontendUrl()}/${page}?token=${encodeURIComponent(token)}`;
+
+// Turn template lines into a plain text body and a minimal HTML body
+const buildMessage = (subject, greeting, lines, link) => {
+  const text = [
+    greeting,
+    "",
+    ...lines,
+    ...(link ? ["", link.url] : []),
+    "",
+    "KuPro",
+  ].join("\n");
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222;">
+    <p>${escapeHtml(greeting)}</p>
+    ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("\n    ")}
+    ${
+      link
+        ? `<p><a href="${escapeHtml(link.url)}">${escapeHtml(
+            link.label
+          )}</a></p>`
+        : ""
+    }
+    <p>KuPro</p>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+};
+
+// Each template has a Croatian (hr) and English (en) version
+const templates = {
+  auctionWon: {
+    hr: (d) =>
+      buildMessage(
+        `Pobijedili ste na licitaciji: ${d.productName}`,
+        `Pozdrav ${d.name},`,
+        [
+          `Čestitamo! Vaša ponuda od ${formatPrice(
+            d.amount
+          )} je pobjednička za proizvod "${d.productName}".`,
+          `Proizvod je rezerviran za vas. Za dogovor oko preuzimanja javite se prodavatelju: ${d.sellerEmail}.`,
+        ],
+        { url: productLink(d.productId), label: "Pogledaj proizvod" }
+      ),
+    en: (d) =>
+      buildMessage(
+        `You won the auction: ${d.productName}`,
+        `Hello ${d.name},`,
+        [
+          `Congratulations! Your bid of ${formatPrice(
+            d.amount
+          )} won the auction for "${d.productName}".`,
+          `The item is reserved for you. Contact the seller to arrange pickup: ${d.sellerEmail}.`,
+        ],
+        { url: productLink(d.productId), label: "View item" }
+      ),
+  },
+
+  outbid: {
+    hr: (d) =>
+      buildMessage(
+        `Nadmašena ponuda: ${d.productName}`,
+        `Pozdrav ${d.name},`,
+        [
+          `Netko je ponudio više od vas za proizvod "${d.productName}".`,
+          `Trenutna cijena je ${formatPrice(
+            d.currentPrice
+          )}. Licitacija završava ${formatDate(d.endTime, "hr")}.`,
+        ],
+        { url: productLink(d.productId), label: "Ponudi ponovno" }
+      ),
+    en: (d) =>
+      buildMessage(
+        `You have been outbid: ${d.productName}`,
+        `Hello ${d.name},`,
+        [
+          `Someone placed a higher bid on "${d.productName}".`,
+          `The current price is ${formatPrice(
+            d.currentPrice
+          )}. The auction ends ${formatDate(d.endTime, "en")}.`,
+        ],
+        { url: productLink(d.productId), label: "Bid again" }
+      ),
+  },
+
+  auctionEndingSoon: {
+    hr: (d) =>
+      buildMessage(
+        `Licitacija uskoro završava: ${d.productName}`,
+        `Pozdrav ${d.name},`,
+        [
+          `Licitacija za "${d.productName}" završava ${formatDate(
+            d.endTime,
+            "hr"
+          )}.`,
+          d.isLeading
+            ? `Trenutno vodite s ponudom od ${formatPrice(d.currentPrice)}.`
+            : `Trenutna cijena je ${formatPrice(d.currentPrice)}.`,
+        ],
+        { url: productLink(d.productId), label: "Pogledaj licitaciju" }
+      ),
+    en: (d) =>
+      buildMessage(
+        `Auction ending soon: ${d.productName}`,
+        `Hello ${d.name},`,
+        [
+          `The auction for "${d.productName}" ends ${formatDate(
+            d.endTime,
+            "en"
+          )}.`,
+          d.isLeading
+            ? `You are currently leading with ${formatPrice(d.currentPrice)}.`
+            : `The current price is ${formatPrice(d.currentPrice)}.`,
+        ],
+        { url: productLink(d.productId), label: "View auction" }
+      ),
+  },
+
+  itemSold: {
+    hr: (d) =>
+      buildMessage(
+        `Prodano: ${d.items.map((item) => item.productName).join(", ")}`,
+        `Pozdrav ${d.name},`,
+        [
+          ...d.items.map(
+            (item) =>
+              `${item.productName} - ${item.quantity} kom. x ${formatPrice(
+                item.unitPrice
+              )}`
+          ),
+          `Narudžba: ${d.orderNumber}. Kupac: ${d.buyerEmail || "-"}.`,
+        ],
+        null
+      ),
+    en: (d) =>
+      buildMessage(
+        `Sold: ${d.items.map((item) => item.productName).join(", ")}`,
+        `Hello ${d.name},`,
+        [
+          ...d.items.map(
+            (item) =>
+              `${item.productName} - ${item.quantity} pcs x ${formatPrice(
+                item.unitPrice
+              )}`
+          ),
+          `Order: ${d.orderNumber}. Buyer: ${d.buyerEmail || "-"}.`,
+        ],
+        null
+      ),
+  },
+
+  orderConfirmation: {
+    hr: (d) =>
+      buildMessage(
+        `Potvrda narudžbe ${d.orderNumber}`,
+        `Pozdrav ${d.name},`,
+        [
+          `Hvala na kupnji! Vaša narudžba ${d.orderNumber} je zaprimljena.`,
+          ...d.items.map(
+            (item) =>
+              `${item.productName} - ${item.quantity} kom. x ${formatPrice(
+                item.unitPrice
+              )}`
+          ),
+          `Ukupno: ${formatPrice(d.totalAmount)}`,
+        ],
+        null
+      ),
+    en: (d) =>
+      buildMessage(
+        `Order confirmation ${d.orderNumber}`,
+        `Hello ${d.name},`,
+        [
+          `Thank you for your purchase! Your order ${d.orderNumber} has been received.`,
+          ...d.items.map(
+            (item) =>
+              `${item.productName} - ${item.quantity} pcs x ${formatPrice(
+                item.unitPrice
+              )}`
+          ),
+          `Total: ${formatPrice(d.totalAmount)}`,
+        ],
+        null
+      ),
+  },
+
+  emailVerification: {
+    hr: (d) =>
+      buildMessage(
+        "Potvrdite svoju email adresu",
+        `Pozdrav ${d.name},`,
+        [
+          "Potvrdite da je ova email adresa vaša kako biste mogli objavljivati proizvode i licitirati.",
+          `Poveznica vrijedi do ${formatDate(d.expiresAt, "hr")}.`,
+        ],
+        { url: tokenLink("verify-email", d.token), label: "Potvrdi email" }
+      ),
+    en: (d) =>
+      buildMessage(
+        "Verify your email address",
+        `Hello ${d.name},`,
+        [
+          "Confirm that this email address is yours so you can list items and bid.",
+          `The link is valid until ${formatDate(d.expiresAt, "en")}.`,
+        ],
+        { url: tokenLink("verify-email", d.token), label: "Verify email" }
+      ),
+  },
+
+  passwordReset: {
+    hr: (d) =>
+      buildMessage(
+        "Promjena lozinke",
+        `Pozdrav ${d.name},`,
+        [
+          "Zatražena je promjena lozinke za vaš KuPro račun.",
+          `Poveznica vrijedi do ${formatDate(
+            d.expiresAt,
+            "hr"
+          )}. Ako niste vi zatražili promjenu, zanemarite ovu poruku.`,
+        ],
+        {
+          url: tokenLink("reset-password", d.token),
+          label: "Postavi novu lozinku",
+        }
+      ),
+    en: (d) =>
+      buildMessage(
+        "Reset your password",
+        `Hello ${d.name},`,
+        [
+          "A password reset was requested for your KuPro account.",
+          `The link is valid until ${formatDate(
+            d.expiresAt,
+            "en"
+          )}. If you did not request it, ignore this email.`,
+        ],
+        {
+          url: tokenLink("reset-password", d.token),
+          label: "Set a new password",
+        }
+      ),
+  },
+};
+
+/**
+ * Render an email template. Falls back to Croatian for unknown languages.
+ * Returns { subject, text, html }.
+ */
+export const renderTemplate = (name, language, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const render = template[language] || template.hr;
+  return render(data);
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
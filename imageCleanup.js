@@ -0,0 +1,159 @@
+import Image from "./models/Image.js";
+import Product from "./models/Product.js";
+import { getStorageDriverByName } from "./storage/index.js";
+import { registerJob } from "./jobRunner.js";
+
+export const IMAGE_CLEANUP_JOB_NAME = "orphaned-image-cleanup";
+
+// How long an upload may stay unused before its files are deleted
+const ORPHANED_IMAGE_TTL_HOURS =
+  parseInt(process.env.ORPHANED_IMAGE_TTL_HOURS) || 24;
+
+// Uploads handled per job run
+const CLEANUP_BATCH_SIZE = 100;
+
+// Every image URL a product shows (cover, gallery and renditions)
+const getProductImageUrls = (product) => {
+  const urls = new Set();
+  const addRenditions = (renditions) => {
+    for (const entry of Object.values(renditions || {})) {
+      if (entry && entry.webp) urls.add(entry.webp);
+      if (entry && entry.jpeg) urls.add(entry.jpeg);
+    }
+  };
+
+  if (product.image) urls.add(product.image);
+  addRenditions(product.toObject ? product.toObject().renditions : null);
+  for (const image of product.images || []) {
+    urls.add(image.url);
+    addRenditions(image.toObject ? image.toObject().renditions : null);
+  }
+  return [...urls];
+};
+
+/**
+ * Record which uploads a product shows after it was created or its images
+ * changed. Uploads it no longer shows become orphans. Errors are logged
+ * only: the cleanup job re-checks references before deleting anything.
+ */
+const linkProductImages = async (product) => {
+  try {
+    await Image.syncProduct(product, getProductImageUrls(product));
+  } catch (error) {
+    console.error(`Error linking images of product ${product._id}:`, error);
+  }
+};
+
+/**
+ * Delete the files of an upload and its record. Resolves to "deleted",
+ * "kept" (a product still shows one of its URLs; it is linked to it if the
+ * product is the uploader's) or "manual" (the driver cannot delete; the record keeps
+ * the delete URLs).
+ */
+const deleteImage = async (image) => {
+  const urls = image.files.map((file) => file.url);
+  const inUse = await Product.find({
+    $or: [{ image: { $in: urls } }, { "images.url": { $in: urls } }],
+  }).select("_id userId");
+
+  if (inUse.length > 0) {
+    // Only linked to a product of its uploader; a copied URL on someone
+    // else's listing keeps the files, but is checked again later
+    const own = inUse.find(
+      (product) => String(product.userId) === String(image.uploadedBy)
+    );
+    image.productId = own ? own._id : null;
+    image.orphanedAt = own ? null : new Date();
+    await image.save();
+    return "kept";
+  }
+
+  const driver = getStorageDriverByName(image.driver);
+  if (!driver || driver.supportsDelete === false) {
+    image.manualDeletionRequired = true;
+    await image.save();
+    return "manual";
+  }
+
+  for (const file of image.files) {
+    await driver.delete(file.key);
+  }
+  await image.deleteOne();
+  return "deleted";
+};
+
+// Delete uploads one by one; failures are counted and retried later
+const deleteImages = async (images) => {
+  const summary = { deleted: 0, kept: 0, manual: 0, failed: 0 };
+  for (const image of images) {
+    try {
+      summary[await deleteImage(image)]++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Error deleting image ${image._id}:`, error.message);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Delete the uploads of a product that was removed. Uploads that cannot
+ * be deleted now stay orphaned and are retried by the cleanup job.
+ */
+const deleteProductImages = async (productId) => {
+  const images = await Image.find({ productId });
+  await Image.updateMany(
+    { productId },
+    { $set: { productId: null, orphanedAt: new Date() } }
+  );
+
+  return deleteImages(images);
+};
+
+/**
+ * Delete uploads no product has used for ORPHANED_IMAGE_TTL_HOURS
+ * (default 24), e.g. photos uploaded for a listing that was never saved.
+ */
+const cleanupOrphanedImages = async () => {
+  try {
+    const cutoff = new Date(
+      Date.now() - ORPHANED_IMAGE_TTL_HOURS * 60 * 60 * 1000
+    );
+    const images = await Image.find({
+      productId: null,
+      orphanedAt: { $lte: cutoff },
+      manualDeletionRequired: { $ne: true },
+    })
+      .sort({ orphanedAt: 1 })
+      .limit(CLEANUP_BATCH_SIZE);
+
+    const summary = await deleteImages(images);
+
+    if (summary.deleted > 0) {
+      console.log(`🧹 Deleted ${summary.deleted} orphaned images`);
+    }
+    return summary;
+  } catch (error) {
+    console.error("Error cleaning up orphaned images:", error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * Register the orphaned image cleanup with the job runner (hourly).
+ */
+const startImageCleanup = () => {
+  registerJob({
+    name: IMAGE_CLEANUP_JOB_NAME,
+    maxIdleMs: 60 * 60 * 1000,
+    run: cleanupOrphanedImages,
+  });
+};
+
+export {
+  linkProductImages,
+  deleteImage,
+  deleteProductImages,
+  cleanupOrphanedImages,
+  startImageCleanup,
+};
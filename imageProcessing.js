@@ -0,0 +1,180 @@
+import sharp from "sharp";
+import { createKeyPrefix, createObjectKey } from "./storage/objectKey.js";
+
+/**
+ * Sizes every uploaded image is stored in. Thumbnails are cropped to a
+ * square; the other renditions keep the aspect ratio and are never
+ * enlarged.
+ */
+export const RENDITIONS = {
+  thumbnail: { width: 200, height: 200, fit: "cover" },
+  card: { width: 600, height: 600, fit: "inside" },
+  full: { width: 1600, height: 1600, fit: "inside" },
+};
+
+// WebP for browsers that support it, JPEG as the fallback
+const FORMATS = {
+  webp: { contentType: "image/webp", options: { quality: 80 } },
+  jpeg: { contentType: "image/jpeg", options: { quality: 82, mozjpeg: true } },
+};
+
+/**
+ * Error raised for uploads that cannot be decoded as an image.
+ */
+export class ImageProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageProcessingError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Decode an uploaded image and render every rendition in every format.
+ * The image is rotated according to its EXIF orientation; metadata (EXIF,
+ * GPS, ICC comments) is not copied to the output.
+ * Resolves to { width, height, files: [{ rendition, format, contentType,
+ * buffer, width, height }] }.
+ */
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ImageProcessingError("File is not a valid image");
+  }
+
+  // Orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  // Decoded once; every rendition works on a clone
+  const source = sharp(buffer).rotate();
+
+  const files = [];
+  for (const [rendition, size] of Object.entries(RENDITIONS)) {
+    for (const [format, { contentType, options }] of Object.entries(FORMATS)) {
+      let pipeline = source
+        .clone()
+        .resize({ ...size, withoutEnlargement: true });
+      if (format === "jpeg") {
+        // JPEG has no transparency
+        pipeline = pipeline.flatten({ background: "#ffffff" });
+      }
+
+      const { data, info } = await pipeline[format](options).toBuffer({
+        resolveWithObject: true,
+      });
+
+      files.push({
+        rendition,
+        format,
+        contentType,
+        buffer: data,
+        width: info.width,
+        height: info.height,
+      });
+    }
+  }
+
+  return { width, height, files };
+};
+
+/**
+ * Store processed renditions with a storage driver.
+ * Resolves to { renditions, files }: the rendition map, e.g.
+ * { card: { width, height, webp: { url, key, size }, jpeg: { ... } }, ... },
+ * and every stored file ({ rendition, format, key, url, size, deleteUrl }).
+ * When a file fails, the ones already stored are removed again.
+ */
+export const storeRenditions = async (driver, processed) => {
+  const prefix = createKeyPrefix();
+  const renditions = {};
+  const files = [];
+  const storedKeys = [];
+
+  try {
+    for (const file of processed.files) {
+      const stored = await driver.put({
+        buffer: file.buffer,
+        contentType: file.contentType,
+        key: createObjectKey(file.contentType, {
+          prefix,
+          name: file.rendition,
+        }),
+      });
+      storedKeys.push(stored.key);
+      files.push({
+        rendition: file.rendition,
+        format: file.format,
+        key: stored.key,
+        url: stored.url,
+        size: stored.size,
+        deleteUrl: stored.deleteUrl || null,
+      });
+
+      renditions[file.rendition] = renditions[file.rendition] || {
+        width: file.width,
+        height: file.height,
+      };
+      renditions[file.rendition][file.format] = {
+        url: stored.url,
+        key: stored.key,
+        size: stored.size,
+      };
+    }
+  } catch (error) {
+    await Promise.allSettled(storedKeys.map((key) => driver.delete(key)));
+    throw error;
+  }
+
+  return { renditions, files };
+};
+
+/**
+ * Rendition map as kept on a product: only known renditions with http(s)
+ * URLs, e.g. { card: { webp, jpeg, width, height } }. Returns null when
+ * the input has no usable rendition.
+ */
+export const toProductRenditions = (input) => {
+  if (!input || typeof input !== "object") return null;
+
+  const urlOf = (value) => {
+    const url = value && typeof value === "object" ? value.url : value;
+    return typeof url === "string" && /^https?:\/\/.+/.test(url) ? url : null;
+  };
+
+  const renditions = {};
+  for (const name of Object.keys(RENDITIONS)) {
+    const entry = input[name];
+    if (!entry) continue;
+
+    const webp = urlOf(entry.webp);
+    const jpeg = urlOf(entry.jpeg);
+    if (!webp && !jpeg) continue;
+
+    renditions[name] = {
+      webp,
+      jpeg,
+      width: Number(entry.width) || null,
+      height: Number(entry.height) || null,
+    };
+  }
+
+  return Object.keys(renditions).length > 0 ? renditions : null;
+};
+
+/**
+ * Single URL for a rendition map (card JPEG if present), kept in the
+ * product's `image` field for clients that do not use renditions.
+ */
+export const getPrimaryImageUrl = (renditions) => {
+  if (!renditions) return null;
+
+  for (const name of ["card", "full", "thumbnail"]) {
+    const entry = renditions[name];
+    if (entry && (entry.jpeg || entry.webp)) return entry.jpeg || entry.webp;
+  }
+  return null;
+};
@@ -1,29 +1,44 @@
 import express from "express";
 import multer from "multer";
-import axios from "axios";
-import FormData from "form-data";
 import dotenv from "dotenv";
+import Image from "./models/Image.js";
+import { authenticateToken } from "./auth.js";
+import { getStorageDriver } from "./storage/index.js";
+import {
+  processImage,
+  storeRenditions,
+  ImageProcessingError,
+} from "./imageProcessing.js";
+import {
+  inspectRemoteImage,
+  downloadRemoteImage,
+  RemoteImageError,
+} from "./remoteImage.js";
 
 dotenv.config();
 
 const router = express.Router();
 
-// Configure multer for memory storage (since we're uploading to external service)
+// 10MB default
+const maxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || 10485760;
+
+const allowedTypes = () =>
+  process.env.ALLOWED_FILE_TYPES?.split(",") || [
+    "image/jpeg",
+    "image/jpg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+  ];
+
+// Configure multer for memory storage (the storage driver writes the file)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB default
+    fileSize: maxFileSize(),
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(",") || [
-      "image/jpeg",
-      "image/jpg",
-      "image/png",
-      "image/gif",
-      "image/webp",
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    if (allowedTypes().includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(
@@ -36,157 +51,246 @@ const upload = multer({
   },
 });
 
-// Upload image to ImgBB
-router.post("/upload", upload.single("image"), async (req, res) => {
+// Process an image, store its renditions and record the upload.
+// Resolves to the response data shared by uploads and re-hosted URLs.
+const storeImage = async (driver, buffer, user) => {
+  const processed = await processImage(buffer);
+  const { renditions, files } = await storeRenditions(driver, processed);
+
+  let image;
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: "No image file provided",
-      });
-    }
+    image = await Image.create({
+      uploadedBy: user._id,
+      driver: driver.name,
+      files,
+    });
+  } catch (error) {
+    // Untracked files would never be cleaned up
+    await Promise.allSettled(files.map((file) => driver.delete(file.key)));
+    throw error;
+  }
 
-    // Check if API key is configured
-    if (
-      !process.env.IMGBB_API_KEY ||
-      process.env.IMGBB_API_KEY === "YOUR_IMGBB_API_KEY"
-    ) {
-      return res.status(500).json({
-        success: false,
-        message:
-          "Image upload service not configured. Please contact administrator.",
-        fallback: true,
-      });
-    }
+  return {
+    imageId: image._id,
+    // Single URLs for clients that do not use renditions yet
+    url: renditions.card.jpeg.url,
+    display_url: renditions.full.jpeg.url,
+    renditions,
+    width: processed.width,
+    height: processed.height,
+    driver: driver.name,
+  };
+};
 
-    // Create FormData for ImgBB API
-    const formData = new FormData();
-    formData.append("image", req.file.buffer.toString("base64"));
-
-    // Upload to ImgBB
-    const response = await axios.post(
-      `${process.env.IMGBB_API_URL}?key=${process.env.IMGBB_API_KEY}`,
-      formData,
-      {
-        headers: {
-          ...formData.getHeaders(),
-        },
+// Upload an image: decoded, auto-rotated and stripped of metadata, then
+// stored as thumbnail/card/full renditions in WebP and JPEG. The upload is
+// recorded with its uploader and deleted if no product uses it in time.
+router.post(
+  "/upload",
+  authenticateToken,
+  upload.single("image"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "No image file provided",
+        });
       }
-    );
 
-    if (response.data.success) {
+      const driver = getStorageDriver();
+      if (!driver.isConfigured()) {
+        return res.status(503).json({
+          success: false,
+          message:
+            "Image upload service not configured. Please contact administrator.",
+          fallback: true,
+        });
+      }
+
+      const data = await storeImage(driver, req.file.buffer, req.user);
+
       res.json({
         success: true,
         data: {
-          url: response.data.data.url,
-          display_url: response.data.data.display_url,
-          delete_url: response.data.data.delete_url,
-          size: response.data.data.size,
+          ...data,
+          size: req.file.size,
           filename: req.file.originalname,
         },
         message: "Image uploaded successfully",
       });
-    } else {
-      throw new Error("Upload failed");
+    } catch (error) {
+      if (error instanceof ImageProcessingError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Upload error:", error);
+
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({
+          success: false,
+          message: "File too large. Maximum size is 10MB.",
+        });
+      }
+
+      if (error.message.includes("Unsupported file type")) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to upload image. Please try again or use URL option.",
+        fallback: true,
+      });
     }
-  } catch (error) {
-    console.error("Upload error:", error);
+  }
+);
+
+// Re-hosting stores a copy under the user's account, so it needs a login
+const authenticateIfRehosting = (req, res, next) =>
+  req.body && req.body.rehost ? authenticateToken(req, res, next) : next();
+
+// Validate an image URL: the host must resolve to public addresses only
+// (redirects are checked too) and only the first bytes are fetched to
+// recognise the image from its content. With `rehost: true` the image is
+// downloaded and stored like an upload.
+router.post("/validate-url", authenticateIfRehosting, async (req, res) => {
+  try {
+    const { url, rehost } = req.body;
 
-    if (error.code === "LIMIT_FILE_SIZE") {
+    if (!url || typeof url !== "string") {
       return res.status(400).json({
         success: false,
-        message: "File too large. Maximum size is 10MB.",
+        message: "URL is required",
       });
     }
 
-    if (error.message.includes("Unsupported file type")) {
+    const image = await inspectRemoteImage(url);
+    if (!allowedTypes().includes(image.contentType)) {
       return res.status(400).json({
+        success: false,
+        message: "URL does not point to a valid image",
+      });
+    }
+
+    if (!rehost) {
+      return res.json({
+        success: true,
+        data: image,
+        message: "Image URL is valid",
+      });
+    }
+
+    const driver = getStorageDriver();
+    if (!driver.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message:
+          "Image upload service not configured. Please contact administrator.",
+        fallback: true,
+      });
+    }
+
+    const buffer = await downloadRemoteImage(image.finalUrl, maxFileSize());
+    const data = await storeImage(driver, buffer, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        size: buffer.length,
+        sourceUrl: url,
+      },
+      message: "Image re-hosted successfully",
+    });
+  } catch (error) {
+    if (
+      error instanceof RemoteImageError ||
+      error instanceof ImageProcessingError
+    ) {
+      return res.status(error.status).json({
         success: false,
         message: error.message,
       });
     }
 
+    console.error("URL validation error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to upload image. Please try again or use URL option.",
-      fallback: true,
+      message: "Failed to validate image URL",
     });
   }
 });
 
-// Validate image URL endpoint
-router.post("/validate-url", async (req, res) => {
+// Uploads of the current user the storage service cannot delete (ImgBB),
+// with the delete pages to remove their files by hand
+router.get("/manual-deletion", authenticateToken, async (req, res) => {
   try {
-    const { url } = req.body;
+    const images = await Image.find({
+      uploadedBy: req.user._id,
+      manualDeletionRequired: true,
+    })
+      .select("+files.deleteUrl")
+      .sort({ createdAt: -1 });
 
-    if (!url) {
-      return res.status(400).json({
-        success: false,
-        message: "URL is required",
-      });
-    }
+    res.json({
+      success: true,
+      data: images.map((image) => ({
+        imageId: image._id,
+        driver: image.driver,
+        createdAt: image.createdAt,
+        files: image.files.map((file) => ({
+          rendition: file.rendition,
+          format: file.format,
+          url: file.url,
+          deleteUrl: file.deleteUrl,
+        })),
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing images for manual deletion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list images",
+    });
+  }
+});
 
-    // Basic URL validation
-    try {
-      new URL(url);
-    } catch {
+// Confirm that the files of such an upload were removed by hand
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid URL format",
+        message: "Invalid image ID",
       });
     }
 
-    // Check if URL looks like an image
-    if (!url.match(/\.(jpg|jpeg|png|gif|webp)(\?.*)?$/i)) {
-      return res.status(400).json({
+    const image = await Image.findOne({
+      _id: req.params.id,
+      uploadedBy: req.user._id,
+      manualDeletionRequired: true,
+    });
+    if (!image) {
+      return res.status(404).json({
         success: false,
-        message: "URL does not appear to be a valid image",
+        message: "Image not found",
       });
     }
 
-    // Try to fetch the image to validate it exists and is accessible
-    const response = await axios.head(url, { timeout: 5000 });
-
-    if (response.status === 200) {
-      const contentType = response.headers["content-type"];
-      const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(",") || [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/gif",
-        "image/webp",
-      ];
-
-      if (
-        contentType &&
-        allowedTypes.some((type) => contentType.includes(type.split("/")[1]))
-      ) {
-        res.json({
-          success: true,
-          data: {
-            url: url,
-            contentType: contentType,
-            size: response.headers["content-length"],
-          },
-          message: "Image URL is valid",
-        });
-      } else {
-        res.status(400).json({
-          success: false,
-          message: "URL does not point to a valid image",
-        });
-      }
-    } else {
-      res.status(400).json({
-        success: false,
-        message: "Image cannot be accessed from this URL",
-      });
-    }
+    await image.deleteOne();
+    res.json({ success: true, message: "Image record removed" });
   } catch (error) {
-    console.error("URL validation error:", error);
-    res.status(400).json({
+    console.error("Error removing image record:", error);
+    res.status(500).json({
       success: false,
-      message: "Cannot access image from this URL",
+      message: "Failed to remove image record",
     });
   }
 });
@@ -196,18 +300,10 @@ router.get("/config", (req, res) => {
   res.json({
     success: true,
     data: {
-      maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760,
-      allowedTypes: process.env.ALLOWED_FILE_TYPES?.split(",") || [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/gif",
-        "image/webp",
-      ],
-      uploadEnabled: !!(
-        process.env.IMGBB_API_KEY &&
-        process.env.IMGBB_API_KEY !== "YOUR_IMGBB_API_KEY"
-      ),
+      maxFileSize: maxFileSize(),
+      allowedTypes: allowedTypes(),
+      uploadEnabled: getStorageDriver().isConfigured(),
+      storageDriver: getStorageDriver().name,
       suggestedServices: [
         {
           name: "ImgBB",
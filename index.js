@@ -5,12 +5,47 @@ import connectToDatabase from "./databaseConnector.js";
 import userRoutes from "./users.js";
 import productRoutes from "./products.js";
 import imageRoutes from "./imageRoutes.js";
+import orderRoutes from "./orders.js";
+import realtimeRoutes, { startRealtimeRelay } from "./realtime.js";
+import jobRoutes from "./jobs.js";
+import notificationRoutes from "./notifications.js";
+import paymentMethodRoutes from "./paymentMethods.js";
+import paymentRoutes from "./payments.js";
+import { startJobs } from "./jobRunner.js";
+import { startAuctionScheduler } from "./scheduler.js";
+import { startImageCleanup } from "./imageCleanup.js";
+import { assertAuthConfig, getTokenSubject } from "./auth.js";
+import { assertPaymentConfig } from "./payments/index.js";
+import {
+  rateLimit,
+  loginLockout,
+  setRateLimitStore,
+} from "./rateLimit/index.js";
+import {
+  LOCAL_STORAGE_ROUTE,
+  getLocalStorageDir,
+} from "./storage/localDriver.js";
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without the token and webhook signing secrets
+assertAuthConfig();
+assertPaymentConfig();
+
 const app = express();
 
+// Behind a reverse proxy the client IP comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Rate limit counters: memory (single instance) or mongo (shared)
+setRateLimitStore(process.env.RATE_LIMIT_STORE || "memory");
+
+const MINUTE = 60 * 1000;
+
 // Middleware
 app.use(
   cors({
@@ -23,15 +58,73 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body for payment webhook signatures
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// Files written by the local storage driver (STORAGE_DRIVER=local)
+app.use(
+  LOCAL_STORAGE_ROUTE,
+  express.static(getLocalStorageDir(), {
+    index: false,
+    maxAge: "30d",
+    immutable: true,
+    setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+  })
+);
 
 // Connect to database
 await connectToDatabase();
 
+// Share live auction events between instances (REALTIME_CHANNEL=mongo)
+await startRealtimeRelay();
+
+// Rate limits per route group (registered before the routers)
+app.post(
+  "/api/users/login",
+  rateLimit({ name: "login-ip", windowMs: 15 * MINUTE, max: 20 }),
+  loginLockout({
+    maxFailures: 5,
+    windowMs: 15 * MINUTE,
+    baseLockMs: MINUTE,
+    maxLockMs: 60 * MINUTE,
+  })
+);
+app.post(
+  ["/api/users/forgot-password", "/api/users/verify-email/resend"],
+  rateLimit({ name: "account-email-ip", windowMs: 60 * MINUTE, max: 5 })
+);
+app.post(
+  "/api/images/validate-url",
+  rateLimit({ name: "validate-url-ip", windowMs: MINUTE, max: 20 })
+);
+app.post(
+  "/api/products/:id/bid",
+  rateLimit({ name: "bid-ip", windowMs: MINUTE, max: 60 }),
+  rateLimit({
+    name: "bid-user",
+    windowMs: MINUTE,
+    max: 20,
+    keyGenerator: getTokenSubject,
+    message: "Previše ponuda u kratkom vremenu, pokušajte ponovno kasnije",
+  })
+);
+
 // Routes
 app.use("/api/users", userRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/images", imageRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/events", realtimeRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/payment-methods", paymentMethodRoutes);
+app.use("/api/payments", paymentRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -42,6 +135,12 @@ app.get("/", (req, res) => {
       users: "/api/users",
       products: "/api/products",
       images: "/api/images",
+      orders: "/api/orders",
+      events: "/api/events",
+      jobs: "/api/jobs",
+      notifications: "/api/notifications",
+      paymentMethods: "/api/payment-methods",
+      payments: "/api/payments",
     },
   });
 });
@@ -54,4 +153,11 @@ app.listen(PORT, () => {
     `📍 Frontend URL: ${process.env.FRONTEND_URL || "http://localhost:5173"}`
   );
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+
+  // Background jobs (auction closing, image cleanup); disable with JOBS_ENABLED=false
+  if (process.env.JOBS_ENABLED !== "false") {
+    startAuctionScheduler();
+    startImageCleanup();
+    startJobs();
+  }
 });
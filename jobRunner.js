@@ -0,0 +1,207 @@
+import os from "os";
+import crypto from "crypto";
+import JobLock from "./models/JobLock.js";
+
+// Identifies this server instance as lease owner
+const instanceId = `${os.hostname()}-${process.pid}-${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a background job.
+ *
+ * - `run` does the work and resolves to a JSON-serialisable summary.
+ * - `getNextRunAt` resolves to the Date the job is next due, or null when
+ *   nothing is pending. Without it the job runs every `maxIdleMs`.
+ * - `maxIdleMs` caps how long the runner sleeps before checking again, so
+ *   newly created work is picked up even if it was not known before.
+ * - `minIntervalMs` is the pause after a run before the job may run again.
+ * - `leaseMs` is how long the Mongo lease is held while running; only the
+ *   instance holding the lease runs the job.
+ */
+export const registerJob = ({
+  name,
+  run,
+  getNextRunAt = null,
+  maxIdleMs = 60 * 1000,
+  minIntervalMs = 5 * 1000,
+  leaseMs = 5 * 60 * 1000,
+}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  const job = {
+    name,
+    run,
+    getNextRunAt,
+    maxIdleMs,
+    minIntervalMs,
+    leaseMs,
+    timer: null,
+    running: false,
+    nextCheckAt: null,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastResult: null,
+    lastError: null,
+    runCount: 0,
+  };
+  jobs.set(name, job);
+
+  if (started) {
+    scheduleJob(job, 0);
+  }
+
+  return job;
+};
+
+// Sleep until the job is due, but never longer than maxIdleMs
+const scheduleJob = (job, delay) => {
+  clearTimeout(job.timer);
+  const wait = Math.max(0, Math.min(delay, job.maxIdleMs));
+
+  job.nextCheckAt = new Date(Date.now() + wait);
+  job.timer = setTimeout(() => tick(job), wait);
+  job.timer.unref?.();
+};
+
+// Check whether the job is due and run it while holding the lease
+const tick = async (job) => {
+  if (!started) return;
+
+  try {
+    if (job.getNextRunAt) {
+      job.nextRunAt = await job.getNextRunAt();
+      if (!job.nextRunAt || job.nextRunAt > new Date()) {
+        const delay = job.nextRunAt
+          ? job.nextRunAt.getTime() - Date.now()
+          : job.maxIdleMs;
+        return scheduleJob(job, delay);
+      }
+    }
+
+    await runJob(job);
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error.message);
+  }
+
+  scheduleJob(job, job.getNextRunAt ? job.minIntervalMs : job.maxIdleMs);
+};
+
+// Run the job once if this instance can take the lease
+const runJob = async (job) => {
+  if (job.running) return { skipped: true, reason: "already running" };
+
+  const acquired = await JobLock.acquire(job.name, instanceId, job.leaseMs);
+  if (!acquired) {
+    // Another instance is running it - check again later
+    return { skipped: true, reason: "lease held by another instance" };
+  }
+
+  const startedAt = new Date();
+  job.running = true;
+  job.lastRunAt = startedAt;
+
+  try {
+    const result = await job.run();
+    job.lastResult = result ?? null;
+    job.lastError = result && result.error ? result.error : null;
+  } catch (error) {
+    job.lastResult = null;
+    job.lastError = error.message;
+  } finally {
+    job.running = false;
+    job.runCount++;
+    job.lastDurationMs = Date.now() - startedAt.getTime();
+    await JobLock.release(job.name, instanceId, {
+      startedAt,
+      result: job.lastResult,
+      error: job.lastError,
+    });
+  }
+
+  return { skipped: false, result: job.lastResult, error: job.lastError };
+};
+
+/**
+ * Start all registered jobs.
+ */
+export const startJobs = () => {
+  if (started) return;
+  started = true;
+
+  for (const job of jobs.values()) {
+    scheduleJob(job, 0);
+  }
+  console.log(`⏰ Job runner started (${jobs.size} jobs, ${instanceId})`);
+};
+
+/**
+ * Stop all timers (used on shutdown).
+ */
+export const stopJobs = () => {
+  started = false;
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+};
+
+/**
+ * Run a job immediately, e.g. from an admin endpoint.
+ */
+export const runJobNow = async (name) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+
+  const outcome = await runJob(job);
+  if (started) {
+    scheduleJob(job, job.minIntervalMs);
+  }
+  return outcome;
+};
+
+/**
+ * Status of all jobs on this instance together with the shared lease state.
+ */
+export const getJobStatus = async () => {
+  const locks = await JobLock.find({ _id: { $in: [...jobs.keys()] } }).lean();
+  const locksByName = new Map(locks.map((lock) => [lock._id, lock]));
+
+  return {
+    instanceId,
+    started,
+    jobs: [...jobs.values()].map((job) => {
+      const lock = locksByName.get(job.name);
+      return {
+        name: job.name,
+        running: job.running,
+        runCount: job.runCount,
+        nextRunAt: job.nextRunAt,
+        nextCheckAt: job.nextCheckAt,
+        lastRunAt: job.lastRunAt,
+        lastDurationMs: job.lastDurationMs,
+        lastResult: job.lastResult,
+        lastError: job.lastError,
+        lease: lock
+          ? {
+              owner: lock.owner,
+              leaseUntil: lock.leaseUntil,
+              heldByThisInstance:
+                lock.owner === instanceId &&
+                lock.leaseUntil &&
+                lock.leaseUntil > new Date(),
+              lastRunAt: lock.lastRunAt,
+              lastFinishedAt: lock.lastFinishedAt,
+              lastError: lock.lastError,
+            }
+          : null,
+      };
+    }),
+  };
+};
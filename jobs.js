@@ -0,0 +1,48 @@
+import express from "express";
+import { authenticateToken, requirePermission } from "./auth.js";
+import { getJobStatus, runJobNow } from "./jobRunner.js";
+
+const router = express.Router();
+
+// Get status of background jobs (admin only)
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("jobs:manage"),
+  async (req, res) => {
+    try {
+      res.json(await getJobStatus());
+    } catch (error) {
+      console.error("Error fetching job status:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+// Run a job immediately (admin only)
+router.post(
+  "/:name/run",
+  authenticateToken,
+  requirePermission("jobs:manage"),
+  async (req, res) => {
+    try {
+      const outcome = await runJobNow(req.params.name);
+
+      if (!outcome) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+
+      res.json({
+        message: outcome.skipped
+          ? `Job not run: ${outcome.reason}`
+          : "Job completed",
+        ...outcome,
+      });
+    } catch (error) {
+      console.error("Error running job:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+export default router;
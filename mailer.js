@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import EmailLog from "./models/EmailLog.js";
+import { renderTemplate } from "./emailTemplates.js";
+
+dotenv.config();
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.MAIL_RETRY_DELAY_MS) || 2000;
+
+// Verification and reset links carry one-time tokens that must not end
+// up in the server logs
+const redactTokens = (text) =>
+  String(text || "").replace(/([?&]token=)[^&\s"'<>]+/g, "$1[redacted]");
+
+/**
+ * Build a transport by name.
+ * - smtp: real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD
+ * - file: writes every message as .eml into MAIL_OUTBOX_DIR (development)
+ * - console: prints messages to stdout with account link tokens redacted
+ *   (development and tests; use `file` to follow those links)
+ */
+const createTransport = (name) => {
+  switch (name) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? {
+              user: process.env.SMTP_USER,
+              pass: process.env.SMTP_PASSWORD,
+            }
+          : undefined,
+      });
+
+    case "file": {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+      const stream = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+      });
+
+      return {
+        sendMail: async (message) => {
+          const info = await stream.sendMail(message);
+          await fs.mkdir(outboxDir, { recursive: true });
+          const fileName = `${Date.now()}-${info.messageId.replace(
+            /[^a-zA-Z0-9.-]/g,
+            ""
+          )}.eml`;
+          await fs.writeFile(path.join(outboxDir, fileName), info.message);
+          return info;
+        },
+      };
+    }
+
+    case "console":
+    default: {
+      const json = nodemailer.createTransport({ jsonTransport: true });
+
+      return {
+        sendMail: async (message) => {
+          const info = await json.sendMail(message);
+          const text = redactTokens(message.text);
+          console.log(
+            `📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${text}`
+          );
+          return info;
+        },
+      };
+    }
+  }
+};
+
+let transportName =
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+let transport = createTransport(transportName);
+
+/**
+ * Replace the active transport (e.g. a capturing transport in tests).
+ * Accepts a transport name or any object with a sendMail(message) method.
+ */
+export const setMailTransport = (nameOrTransport, name = "custom") => {
+  if (typeof nameOrTransport === "string") {
+    transportName = nameOrTransport;
+    transport = createTransport(nameOrTransport);
+  } else {
+    transportName = name;
+    transport = nameOrTransport;
+  }
+};
+
+export const getMailTransportName = () => transportName;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Render a template and send it, retrying with exponential backoff.
+ * Every send is recorded in the emailLogs collection.
+ * Resolves to the EmailLog document; never throws for delivery errors.
+ */
+export const sendTemplatedEmail = async ({
+  to,
+  template,
+  language = "hr",
+  data = {},
+  context = {},
+}) => {
+  const { subject, text, html } = renderTemplate(template, language, data);
+
+  const log = await EmailLog.create({
+    to,
+    template,
+    language,
+    subject,
+    transport: transportName,
+    context,
+  });
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const info = await transport.sendMail({
+        from: process.env.MAIL_FROM || "KuPro <no-reply@kupro.hr>",
+        to,
+        subject,
+        text,
+        html,
+      });
+
+      log.status = "sent";
+      log.attempts = attempt;
+      log.messageId = info && info.messageId ? info.messageId : null;
+      log.sentAt = new Date();
+      log.lastError = null;
+      await log.save();
+      return log;
+    } catch (error) {
+      log.attempts = attempt;
+      log.lastError = error.message;
+      console.error(
+        `❌ Email "${template}" to ${to} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`,
+        error.message
+      );
+
+      if (attempt < MAX_ATTEMPTS) {
+        await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  log.status = "failed";
+  await log.save();
+  return log;
+};
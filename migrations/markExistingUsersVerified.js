@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import connectToDatabase from "../databaseConnector.js";
+import User from "../models/User.js";
+
+/**
+ * One-off migration: accounts created before email verification existed
+ * have no `emailVerified` field. They are marked as verified so existing
+ * sellers and bidders are not locked out; new accounts must verify.
+ *
+ * Usage: node migrations/markExistingUsersVerified.js [--dry-run]
+ */
+const markExistingUsersVerified = async ({ dryRun = false } = {}) => {
+  const query = { emailVerified: { $exists: false } };
+
+  // Read the raw collection, the schema default would report false
+  const pending = await User.collection.countDocuments(query);
+  if (dryRun) return { pending, updated: 0 };
+
+  const result = await User.collection.updateMany(query, {
+    $set: { emailVerified: true, emailVerifiedAt: new Date() },
+  });
+
+  return { pending, updated: result.modifiedCount };
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await connectToDatabase();
+    console.log(
+      `=== MARKING EXISTING USERS VERIFIED${dryRun ? " (DRY RUN)" : ""} ===`
+    );
+
+    const summary = await markExistingUsersVerified({ dryRun });
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+export { markExistingUsersVerified };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
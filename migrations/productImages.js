@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import connectToDatabase from "../databaseConnector.js";
+import Product from "../models/Product.js";
+
+const BATCH_SIZE = 500;
+
+/**
+ * One-off migration: products created before galleries existed only have
+ * a single `image` (and possibly `renditions`). That photo becomes the
+ * first gallery entry and the cover.
+ *
+ * Usage: node migrations/productImages.js [--dry-run]
+ */
+const migrateProductImages = async ({ dryRun = false } = {}) => {
+  const query = {
+    image: { $type: "string" },
+    $or: [{ images: { $exists: false } }, { images: { $size: 0 } }],
+  };
+
+  // Read the raw collection, the schema default would report an empty array
+  const pending = await Product.collection.countDocuments(query);
+  if (dryRun) return { pending, updated: 0 };
+
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Product.collection.bulkWrite(operations);
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = Product.collection.find(query, {
+    projection: { image: 1, renditions: 1 },
+  });
+
+  for await (const product of cursor) {
+    const image = {
+      _id: new mongoose.Types.ObjectId(),
+      url: product.image,
+      alt: "",
+      isCover: true,
+    };
+    if (product.renditions) image.renditions = product.renditions;
+
+    operations.push({
+      updateOne: {
+        // Skip products that got a gallery since the cursor was opened
+        filter: { _id: product._id, ...query },
+        update: { $set: { images: [image] } },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { pending, updated };
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await connectToDatabase();
+    console.log(
+      `=== MIGRATING PRODUCT IMAGES${dryRun ? " (DRY RUN)" : ""} ===`
+    );
+
+    const summary = await migrateProductImages({ dryRun });
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+export { migrateProductImages };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
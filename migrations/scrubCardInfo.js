@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import connectToDatabase from "../databaseConnector.js";
+import User from "../models/User.js";
+import PaymentMethod from "../models/PaymentMethod.js";
+import { luhnCheck, parseExpiry, isExpired } from "../payments/cards.js";
+
+/**
+ * One-off migration: removes raw card data (cardInfo) from all
+ * `korisnici` documents. Valid, unexpired cards are tokenised into
+ * PaymentMethod documents first so users keep their saved card.
+ *
+ * Usage: node migrations/scrubCardInfo.js [--dry-run]
+ */
+const scrubCardInfo = async ({ dryRun = false } = {}) => {
+  // cardInfo is no longer in the schema, so read the raw collection
+  const users = User.collection.find(
+    { cardInfo: { $exists: true } },
+    { projection: { cardInfo: 1 } }
+  );
+
+  const summary = { scanned: 0, tokenised: 0, discarded: 0, scrubbed: 0 };
+
+  for await (const user of users) {
+    summary.scanned++;
+    const { cardNumber, expiryDate } = user.cardInfo || {};
+    const expiry = parseExpiry(expiryDate);
+    const usable =
+      luhnCheck(cardNumber) &&
+      expiry &&
+      !isExpired(expiry.expMonth, expiry.expYear);
+
+    if (dryRun) {
+      usable ? summary.tokenised++ : summary.discarded++;
+      continue;
+    }
+
+    if (usable) {
+      const hasCard = await PaymentMethod.exists({ userId: user._id });
+      if (!hasCard) {
+        await PaymentMethod.addCard(user._id, { cardNumber, expiryDate });
+      }
+      summary.tokenised++;
+    } else {
+      summary.discarded++;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $unset: { cardInfo: "" } }
+    );
+    summary.scrubbed++;
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await connectToDatabase();
+    console.log(`=== SCRUBBING CARD DATA${dryRun ? " (DRY RUN)" : ""} ===`);
+
+    const summary = await scrubCardInfo({ dryRun });
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+export { scrubCardInfo };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const PURPOSES = ["password-reset", "email-verification"];
+
+// Single-use token sent by email (password reset, email verification)
+const accountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: PURPOSES,
+      required: true,
+    },
+    // HMAC of the token; the token itself only exists in the email
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Address the token was sent to; a later email change invalidates it
+    email: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+accountTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Tokens are signed with the server secret, so a copy of the collection
+// is not enough to check guesses
+const signToken = (purpose, token) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "")
+    .update(`${purpose}:${token}`)
+    .digest("hex");
+
+// Static method to issue a token, replacing earlier unused ones of the
+// same purpose. Resolves to the raw token.
+accountTokenSchema.statics.issue = async function (user, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await this.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await this.create({
+    userId: user._id,
+    purpose,
+    tokenHash: signToken(purpose, token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Static method to use up a token. Resolves to the token document, or null
+// when it is unknown, expired or already used.
+accountTokenSchema.statics.consume = function (token, purpose) {
+  if (!token || !PURPOSES.includes(purpose)) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: signToken(purpose, String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+export default AccountToken;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// The collection only keeps the most recent events
+const CAPPED_SIZE = 5 * 1024 * 1024;
+const CAPPED_MAX = 10000;
+
+// Auction event shared between server instances (see realtime.js)
+const auctionEventSchema = new mongoose.Schema(
+  {
+    // Instance that published the event
+    origin: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    productId: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { collection: "auctionEvents", versionKey: false }
+);
+
+// Static method to create the capped collection tailable cursors need
+auctionEventSchema.statics.ensureCollection = async function () {
+  await this.createCollection({
+    capped: true,
+    size: CAPPED_SIZE,
+    max: CAPPED_MAX,
+  });
+
+  if (!(await this.collection.isCapped())) {
+    throw new Error(
+      'The "auctionEvents" collection is not capped; drop it so it can be recreated'
+    );
+  }
+};
+
+const AuctionEvent = mongoose.model("AuctionEvent", auctionEventSchema);
+
+export default AuctionEvent;
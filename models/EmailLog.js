@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Delivery log for every email the application sends
+const emailLogSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    language: {
+      type: String,
+      default: "hr",
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    transport: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    messageId: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    // Related records, e.g. { productId } or { orderId }
+    context: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { collection: "emailLogs", timestamps: true, versionKey: false }
+);
+
+emailLogSchema.index({ to: 1, createdAt: -1 });
+emailLogSchema.index({ status: 1 });
+
+const EmailLog = mongoose.model("EmailLog", emailLogSchema);
+
+export default EmailLog;
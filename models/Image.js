@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+// One stored file of an upload (a rendition in one format)
+const imageFileSchema = new mongoose.Schema(
+  {
+    rendition: {
+      type: String,
+      default: null,
+    },
+    format: {
+      type: String,
+      default: null,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      default: null,
+    },
+    // Page that removes the file, for drivers without a delete API (ImgBB)
+    deleteUrl: {
+      type: String,
+      default: null,
+      select: false,
+    },
+  },
+  { _id: false }
+);
+
+// An uploaded image with all its stored files and the product showing it
+const imageSchema = new mongoose.Schema(
+  {
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Storage driver the files were written with
+    driver: {
+      type: String,
+      required: true,
+    },
+    files: {
+      type: [imageFileSchema],
+      default: [],
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    // Since when no product uses the image (null while attached)
+    orphanedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // The driver cannot delete files; they are removed by hand via deleteUrl
+    manualDeletionRequired: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+imageSchema.index({ productId: 1 });
+imageSchema.index({ "files.url": 1 });
+imageSchema.index({ orphanedAt: 1 });
+imageSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+// Static method to link the seller's uploads to the product showing them
+// and release the product's uploads it no longer shows. Only uploads of the
+// product's own seller are linked, so nobody can claim (and later delete)
+// another user's pending upload by pasting its URL.
+imageSchema.statics.syncProduct = async function (product, urls) {
+  const productId = product._id;
+  await this.updateMany(
+    {
+      productId: null,
+      uploadedBy: product.userId,
+      "files.url": { $in: urls },
+    },
+    { $set: { productId, orphanedAt: null } }
+  );
+  await this.updateMany(
+    { productId, "files.url": { $nin: urls } },
+    { $set: { productId: null, orphanedAt: new Date() } }
+  );
+};
+
+const Image = mongoose.model("Image", imageSchema);
+
+export default Image;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// Lease document that lets only one server instance run a job at a time
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Job name
+    },
+    owner: {
+      type: String,
+      default: null,
+    },
+    leaseUntil: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastFinishedAt: {
+      type: Date,
+      default: null,
+    },
+    lastResult: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  { collection: "jobLocks", versionKey: false }
+);
+
+// Static method to take (or renew) the lease for a job.
+// Resolves to true if this owner holds the lease afterwards.
+jobLockSchema.statics.acquire = async function (name, owner, leaseMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ leaseUntil: { $lte: now } }, { leaseUntil: null }, { owner }],
+      },
+      { $set: { owner, leaseUntil: new Date(now.getTime() + leaseMs) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // Another instance holds the lease, so the upsert hit the existing _id
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to give up the lease and record the run outcome
+jobLockSchema.statics.release = function (name, owner, outcome = {}) {
+  return this.updateOne(
+    { _id: name, owner },
+    {
+      $set: {
+        leaseUntil: null,
+        lastRunAt: outcome.startedAt || null,
+        lastFinishedAt: new Date(),
+        lastResult: outcome.result === undefined ? null : outcome.result,
+        lastError: outcome.error || null,
+      },
+    }
+  );
+};
+
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "outbid",
+  "auctionWon",
+  "auctionEnded",
+  "auctionEndedNoBids",
+  "reserveNotMet",
+  "itemSold",
+  "orderStatusChanged",
+  "productRemoved",
+  "productHidden",
+  "auctionCancelled",
+];
+
+// In-app notification shown in the user's notification centre
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    message: {
+      type: String,
+      default: "",
+      maxlength: 1000,
+    },
+    // Related records, e.g. { productId } or { orderId }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+// Static method to count unread notifications of a user
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ userId, read: false });
+};
+
+// Static method to mark all notifications of a user as read
+notificationSchema.statics.markAllRead = function (userId) {
+  return this.updateMany(
+    { userId, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
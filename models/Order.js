@@ -0,0 +1,272 @@
+import mongoose from "mongoose";
+import Product from "./Product.js";
+
+// Allowed status transitions for the order lifecycle
+const STATUS_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+    image: {
+      type: String,
+      default: null,
+    },
+    sellerId: {
+      type: String,
+      required: true,
+    },
+    sellerEmail: {
+      type: String,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Price snapshot at the time of purchase
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    totalPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    buyerEmail: {
+      type: String,
+      default: null,
+    },
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: function (v) {
+          return Array.isArray(v) && v.length > 0;
+        },
+        message: "Order must contain at least one item",
+      },
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "EUR",
+    },
+    paymentMethod: {
+      type: String,
+      default: "card",
+    },
+    // Saved card that was charged
+    paymentMethodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentMethod",
+      default: null,
+    },
+    // Latest payment for the order; the order is paid once it is captured
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS),
+      default: "pending",
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          required: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        changedBy: {
+          type: String,
+          default: null,
+        },
+        note: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+orderSchema.index({ buyerId: 1, createdAt: -1 });
+orderSchema.index({ "items.sellerId": 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+
+// Instance method to check if the order can move to the given status
+orderSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to change order status
+orderSchema.methods.updateStatus = function (status, changedBy, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(
+      `Status narudžbe ne može se promijeniti iz "${this.status}" u "${status}"`
+    );
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy: changedBy ? String(changedBy) : null,
+    note: note || null,
+  });
+  return this;
+};
+
+// Instance method to change the status with a conditional update on the
+// status the order was read with, so that of several concurrent changes
+// (checkout, webhook, user) only one succeeds. Resolves to the updated
+// order, or null when the order had moved on in the meantime.
+orderSchema.methods.transitionTo = function (status, changedBy, note) {
+  if (!this.canTransitionTo(status)) {
+    return Promise.resolve(null);
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: { status },
+      $push: {
+        statusHistory: {
+          status,
+          changedAt: new Date(),
+          changedBy: changedBy ? String(changedBy) : null,
+          note: note || null,
+        },
+      },
+    },
+    { new: true }
+  );
+};
+
+// Instance method to cancel the order. Resolves to the cancelled order, or
+// null when another request changed it first; only then must stock be
+// restocked.
+orderSchema.methods.cancel = function (changedBy, note) {
+  return this.transitionTo("cancelled", changedBy, note);
+};
+
+// Instance method to check if the given user sells at least one item in the order
+orderSchema.methods.hasSeller = function (sellerId) {
+  return this.items.some((item) => item.sellerId === String(sellerId));
+};
+
+// Instance method to check if every item in the order is sold by the given user
+orderSchema.methods.isSoleSeller = function (sellerId) {
+  return (
+    this.items.length > 0 &&
+    this.items.every((item) => item.sellerId === String(sellerId))
+  );
+};
+
+// Instance method to put the stock of a cancelled order back on the products
+orderSchema.methods.restockItems = async function () {
+  for (const item of this.items) {
+    const product = await Product.findByIdAndUpdate(
+      item.productId,
+      { $inc: { stock: item.quantity } },
+      { new: true }
+    );
+
+    // Back on sale; a finished auction stays ended
+    if (product && product.biddingStatus === "sold") {
+      product.biddingStatus = product.isBidding ? "ended" : "available";
+      await product.save();
+    }
+  }
+};
+
+// Static method to generate a human readable order number
+orderSchema.statics.generateOrderNumber = function () {
+  const suffix = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `ORDER-${Date.now()}-${suffix}`;
+};
+
+// Static method to build a new pending order from purchased line items
+orderSchema.statics.buildFromItems = function ({
+  buyerId,
+  buyerEmail,
+  items,
+  paymentMethod,
+  paymentMethodId = null,
+}) {
+  const totalAmount = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  return new this({
+    orderNumber: this.generateOrderNumber(),
+    buyerId,
+    buyerEmail: buyerEmail || null,
+    items,
+    totalAmount,
+    paymentMethod,
+    paymentMethodId,
+    status: "pending",
+    statusHistory: [{ status: "pending", changedAt: new Date() }],
+  });
+};
+
+// Static method to find orders placed by a buyer
+orderSchema.statics.findForBuyer = function (buyerId) {
+  return this.find({ buyerId }).sort({ createdAt: -1 });
+};
+
+// Static method to find orders containing products sold by a seller
+orderSchema.statics.findForSeller = function (sellerId) {
+  return this.find({ "items.sellerId": String(sellerId) }).sort({
+    createdAt: -1,
+  });
+};
+
+const Order = mongoose.model("Order", orderSchema);
+
+export { STATUS_TRANSITIONS };
+export default Order;
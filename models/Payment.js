@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_STATUSES = [
+  "pending",
+  "authorized",
+  "captured",
+  "failed",
+  "voided",
+  "refunded",
+];
+
+// Payment for an order, mirrored from the payment provider
+const paymentSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    paymentMethodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentMethod",
+      default: null,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Id of the payment at the provider
+    providerPaymentId: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "EUR",
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "pending",
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    authorizedAt: {
+      type: Date,
+      default: null,
+    },
+    capturedAt: {
+      type: Date,
+      default: null,
+    },
+    refundedAt: {
+      type: Date,
+      default: null,
+    },
+    // Everything that happened to the payment, including webhooks
+    events: [
+      {
+        type: {
+          type: String,
+          required: true,
+        },
+        status: {
+          type: String,
+          default: null,
+        },
+        // Provider event id, used to ignore repeated webhooks
+        eventId: {
+          type: String,
+          default: null,
+        },
+        note: {
+          type: String,
+          default: null,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true, versionKey: false }
+);
+
+paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+
+// Instance method to change status and record the event
+paymentSchema.methods.recordEvent = function (
+  type,
+  { status, eventId = null, note = null } = {}
+) {
+  if (status) this.status = status;
+  this.events.push({
+    type,
+    status: status || this.status,
+    eventId,
+    note,
+    at: new Date(),
+  });
+  return this;
+};
+
+// Instance method to check if a provider event was already applied
+paymentSchema.methods.hasEvent = function (eventId) {
+  return Boolean(eventId) && this.events.some((e) => e.eventId === eventId);
+};
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { getPaymentProvider } from "../payments/index.js";
+
+// Tokenised card - only the provider token and display details are stored
+const paymentMethodSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Provider reference used to charge the card; never returned by the API
+    token: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    brand: {
+      type: String,
+      default: "unknown",
+    },
+    last4: {
+      type: String,
+      required: true,
+      match: /^\d{4}$/,
+    },
+    expMonth: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 12,
+    },
+    expYear: {
+      type: Number,
+      required: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+paymentMethodSchema.index({ userId: 1 });
+
+paymentMethodSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.token;
+    return ret;
+  },
+});
+
+// Static method to tokenise a validated card ({ cardNumber, expiryDate })
+// with the active provider and store it for the user. The first card
+// becomes the default.
+paymentMethodSchema.statics.addCard = async function (userId, card) {
+  const provider = getPaymentProvider();
+  const tokenised = await provider.tokenizeCard(card);
+  const existing = await this.countDocuments({ userId });
+
+  return this.create({
+    userId,
+    provider: provider.name,
+    token: tokenised.token,
+    brand: tokenised.brand,
+    last4: tokenised.last4,
+    expMonth: tokenised.expMonth,
+    expYear: tokenised.expYear,
+    isDefault: existing === 0,
+  });
+};
+
+// Static method to make one payment method the user's default
+paymentMethodSchema.statics.setDefault = async function (userId, id) {
+  const method = await this.findOne({ _id: id, userId });
+  if (!method) return null;
+
+  await this.updateMany(
+    { userId, _id: { $ne: method._id } },
+    { $set: { isDefault: false } }
+  );
+  method.isDefault = true;
+  return method.save();
+};
+
+const PaymentMethod = mongoose.model("PaymentMethod", paymentMethodSchema);
+
+export default PaymentMethod;
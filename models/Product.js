@@ -1,5 +1,94 @@
 import mongoose from "mongoose";
 
+/**
+ * Error raised by the bidding engine. `status` is the HTTP status the
+ * route should answer with, `details` extra fields for the response body.
+ */
+export class BiddingError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "BiddingError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Hidden per-user maximum for proxy (automatic) bidding
+const proxyBidSchema = new mongoose.Schema(
+  {
+    bidderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    bidder: {
+      type: String,
+      required: true,
+    },
+    bidderEmail: {
+      type: String,
+      required: true,
+    },
+    maxAmount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One size of an uploaded image, in WebP with a JPEG fallback
+const renditionSchema = new mongoose.Schema(
+  {
+    webp: String,
+    jpeg: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+export const MAX_PRODUCT_IMAGES =
+  parseInt(process.env.MAX_PRODUCT_IMAGES) || 10;
+
+// One photo of a listing; the array order is the gallery order
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function (v) {
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: "Image must be a valid URL",
+    },
+  },
+  renditions: {
+    thumbnail: renditionSchema,
+    card: renditionSchema,
+    full: renditionSchema,
+  },
+  alt: {
+    type: String,
+    default: "",
+    trim: true,
+    maxlength: 250,
+  },
+  isCover: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Match a product still at the given bid version (documents created
+// before versioning have no bidVersion field)
+const bidVersionFilter = (version) => (version ? version : { $in: [0, null] });
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -35,6 +124,22 @@ const productSchema = new mongoose.Schema(
         message: "Image must be a valid URL",
       },
     },
+    // Cover image sizes; `image` holds the cover URL for old clients
+    renditions: {
+      thumbnail: renditionSchema,
+      card: renditionSchema,
+      full: renditionSchema,
+    },
+    // Gallery; `image` and `renditions` mirror the cover (syncCoverImage)
+    images: {
+      type: [productImageSchema],
+      validate: {
+        validator: function (v) {
+          return v.length <= MAX_PRODUCT_IMAGES;
+        },
+        message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`,
+      },
+    },
     currentPrice: {
       type: Number,
       required: true,
@@ -72,7 +177,12 @@ const productSchema = new mongoose.Schema(
           if (this.isBidding && !v) {
             return false; // If bidding is enabled, end time is required
           }
-          if (v && v <= new Date()) {
+          // A new or changed end time must be in the future; saving an
+          // auction that has already ended must still work
+          const isDocument = this && typeof this.isModified === "function";
+          const endTimeChanged =
+            !isDocument || this.isNew || this.isModified("biddingEndTime");
+          if (v && endTimeChanged && v <= new Date()) {
             return false; // End time must be in the future
           }
           return true;
@@ -87,6 +197,12 @@ const productSchema = new mongoose.Schema(
       max: 30,
       default: null,
     },
+    // Set server-side from the authenticated bidder
+    bestBidderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     bestBidder: {
       type: String,
       default: null,
@@ -104,6 +220,12 @@ const productSchema = new mongoose.Schema(
     },
     bidHistory: [
       {
+        bidderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        // Display name (username) of the bidder
         bidder: {
           type: String,
           required: true,
@@ -121,8 +243,24 @@ const productSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Placed by the system on behalf of a proxy bidder
+        isAutoBid: {
+          type: Boolean,
+          default: false,
+        },
       },
     ],
+    // Never returned unless explicitly selected with "+proxyBids"
+    proxyBids: {
+      type: [proxyBidSchema],
+      default: [],
+      select: false,
+    },
+    // Incremented on every bid, used for optimistic concurrency
+    bidVersion: {
+      type: Number,
+      default: 0,
+    },
     biddingStatus: {
       type: String,
       enum: ["active", "ended", "sold", "cancelled", "available"],
@@ -134,15 +272,89 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    endingSoonNotified: {
+      type: Boolean,
+      default: false,
+    },
     reservedForWinner: {
       type: Boolean,
       default: false,
     },
+    // Hidden minimum the auction has to reach to produce a winner
+    reservePrice: {
+      type: Number,
+      default: null,
+      min: 0.01,
+      select: false,
+    },
+    reserveMet: {
+      type: Boolean,
+      default: function () {
+        return !this.reservePrice;
+      },
+    },
+    // Set when the auction ended with bids that never reached the reserve
+    reserveNotMet: {
+      type: Boolean,
+      default: false,
+    },
+    buyItNowPrice: {
+      type: Number,
+      default: null,
+      min: 0.01,
+    },
+    soldViaBuyItNow: {
+      type: Boolean,
+      default: false,
+    },
     minimumBidIncrement: {
       type: Number,
       default: 1.0,
       min: 0.01,
     },
+    // Soft close: a bid in the final window extends the auction
+    softCloseWindowMinutes: {
+      type: Number,
+      default: 0, // 0 disables anti-sniping
+      min: 0,
+      max: 60,
+    },
+    softCloseExtensionMinutes: {
+      type: Number,
+      default: 2,
+      min: 1,
+      max: 60,
+    },
+    maxExtensions: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 100,
+    },
+    extensionCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Hidden by a moderator: not listed, cannot be bid on or bought
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
     userId: {
       type: String,
       required: true,
@@ -168,6 +380,13 @@ const productSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.proxyBids;
+        delete ret.reservePrice;
+        return ret;
+      },
+    },
   }
 );
 
@@ -178,8 +397,12 @@ productSchema.index({ isBidding: 1 });
 productSchema.index({ biddingEndTime: 1 });
 productSchema.index({ biddingStatus: 1 });
 productSchema.index({ bestBidderEmail: 1 });
+productSchema.index({ bestBidderId: 1 });
+// Used by the image cleanup to check whether an upload is still shown
+productSchema.index({ image: 1 });
+productSchema.index({ "images.url": 1 });
 
-// Pre-save middleware to update the updatedAt field and handle bidding logic
+// Pre-save middleware to update the updatedAt field and the bidding end time
 productSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
 
@@ -190,19 +413,8 @@ productSchema.pre("save", function (next) {
     this.biddingEndTime = endTime;
   }
 
-  // Check if bidding has ended
-  if (
-    this.isBidding &&
-    this.biddingEndTime &&
-    new Date() >= this.biddingEndTime
-  ) {
-    if (this.biddingStatus === "active") {
-      this.biddingStatus = "ended";
-      if (this.bestBidder) {
-        this.reservedForWinner = true;
-      }
-    }
-  }
+  // Expired auctions are closed by Product.closeAuction (the scheduler),
+  // which also applies the reserve price and notifies the winner
 
   next();
 });
@@ -233,6 +445,12 @@ productSchema.virtual("timeRemaining").get(function () {
     hours,
     minutes,
     totalMinutes: Math.floor(timeLeft / (1000 * 60)),
+    inSoftCloseWindow:
+      this.softCloseWindowMinutes > 0 &&
+      timeLeft <= this.softCloseWindowMinutes * 60 * 1000,
+    extended: this.extensionCount > 0,
+    extensionCount: this.extensionCount,
+    extensionsRemaining: Math.max(0, this.maxExtensions - this.extensionCount),
   };
 });
 
@@ -244,11 +462,21 @@ productSchema.virtual("bidCount").get(function () {
 // Instance method to check if product is available for bidding
 productSchema.methods.canBid = function () {
   if (!this.isBidding || this.stock <= 0) return false;
+  if (this.isHidden) return false;
   if (this.biddingStatus !== "active") return false;
   if (this.biddingEndTime && new Date() >= this.biddingEndTime) return false;
   return true;
 };
 
+// Instance method to check if an active auction can be ended instantly
+// with Buy-It-Now. The option disappears once a bid meets the reserve or
+// the price climbs to the Buy-It-Now price.
+productSchema.methods.canBuyItNow = function () {
+  if (!this.buyItNowPrice || !this.canBid()) return false;
+  if (this.bidCount > 0 && this.reserveMet) return false;
+  return this.currentPrice < this.buyItNowPrice;
+};
+
 // Instance method to check if product is available for direct purchase
 productSchema.methods.canPurchase = function () {
   if (this.stock <= 0) return false;
@@ -256,15 +484,26 @@ productSchema.methods.canPurchase = function () {
 
   // If it's a bidding product, check if bidding is still active
   if (this.isBidding) {
-    if (this.biddingStatus === "active") return false; // Still in bidding
+    if (this.biddingStatus === "active") return this.canBuyItNow(); // Only Buy-It-Now
     if (this.biddingStatus === "reserved") return false; // Reserved for winner
+    if (this.reservedForWinner) return false;
+    if (this.reserveNotMet) return false; // Auction failed, seller must relist
   }
 
   return true;
 };
 
+// Instance method to check whether a user is the current best bidder.
+// Products from before bids were tied to accounts only have the email.
+productSchema.methods.isBestBidder = function (userId, userEmail) {
+  if (this.bestBidderId) {
+    return Boolean(userId) && String(this.bestBidderId) === String(userId);
+  }
+  return Boolean(userEmail) && this.bestBidderEmail === userEmail;
+};
+
 // Instance method to check if product is available for user (considering if they won bidding)
-productSchema.methods.canPurchaseByUser = function (userEmail) {
+productSchema.methods.canPurchaseByUser = function (userId, userEmail) {
   if (this.stock <= 0) return false;
   if (this.biddingStatus === "sold") return false;
 
@@ -273,7 +512,7 @@ productSchema.methods.canPurchaseByUser = function (userEmail) {
     if (this.biddingStatus === "active") return false; // Still in bidding
     if (
       this.biddingStatus === "reserved" &&
-      this.bestBidderEmail !== userEmail
+      !this.isBestBidder(userId, userEmail)
     ) {
       return false; // Reserved for someone else
     }
@@ -282,19 +521,39 @@ productSchema.methods.canPurchaseByUser = function (userEmail) {
   return true;
 };
 
-// Instance method to place a bid
-productSchema.methods.placeBid = function (bidder, bidderEmail, amount) {
+// Instance method to get the lowest acceptable next bid
+productSchema.methods.getMinimumBid = function () {
+  return this.currentPrice + this.minimumBidIncrement;
+};
+
+// Instance method to check that a bid amount is acceptable
+productSchema.methods.validateBid = function (amount) {
   if (!this.canBid()) {
     throw new Error("Bidding is not available for this product");
   }
 
-  const minimumBid = this.currentPrice + this.minimumBidIncrement;
+  if (!Number.isFinite(amount)) {
+    throw new Error("Bid amount must be a number");
+  }
+
+  const minimumBid = this.getMinimumBid();
   if (amount < minimumBid) {
     throw new Error(`Bid must be at least ${minimumBid}€`);
   }
+};
+
+// Instance method to place a bid
+productSchema.methods.placeBid = function (
+  bidderId,
+  bidder,
+  bidderEmail,
+  amount
+) {
+  this.validateBid(amount);
 
   // Add to bid history
   this.bidHistory.push({
+    bidderId,
     bidder,
     bidderEmail,
     amount,
@@ -303,12 +562,39 @@ productSchema.methods.placeBid = function (bidder, bidderEmail, amount) {
 
   // Update current highest bid
   this.currentPrice = amount;
+  this.bestBidderId = bidderId;
   this.bestBidder = bidder;
   this.bestBidderEmail = bidderEmail;
 
   return this;
 };
 
+// Instance method to get the cover image (first image if none is marked)
+productSchema.methods.getCoverImage = function () {
+  if (!this.images || this.images.length === 0) return null;
+  return this.images.find((image) => image.isCover) || this.images[0];
+};
+
+// Instance method to keep exactly one cover image and mirror it into the
+// legacy `image` and `renditions` fields
+productSchema.methods.syncCoverImage = function () {
+  const cover = this.getCoverImage();
+  if (!cover) return this;
+
+  for (const image of this.images) {
+    image.isCover = image === cover;
+  }
+  this.image = cover.url;
+  this.renditions = cover.renditions;
+  return this;
+};
+
+// Instance method to check if an auction is still open (not yet closed,
+// even if its end time has passed and expiry processing is pending)
+productSchema.methods.isBiddingActive = function () {
+  return Boolean(this.isBidding) && this.biddingStatus === "active";
+};
+
 // Instance method to check if bidding has ended
 productSchema.methods.isBiddingEnded = function () {
   if (!this.isBidding) return false;
@@ -337,11 +623,423 @@ productSchema.methods.reserveForWinner = function () {
     throw new Error("Cannot reserve product - bidding not ended or no winner");
   }
 
+  if (!this.reserveMet) {
+    throw new Error("Cannot reserve product - reserve price not met");
+  }
+
   this.reservedForWinner = true;
   this.biddingStatus = "ended";
   return this;
 };
 
+// Instance method to get the new end time when a bid at the given moment
+// falls into the soft-close window, or null if the auction is not extended
+productSchema.methods.getExtendedEndTime = function (at = new Date()) {
+  if (!this.softCloseWindowMinutes || !this.biddingEndTime) return null;
+  if (this.extensionCount >= this.maxExtensions) return null;
+
+  const windowStart =
+    this.biddingEndTime.getTime() - this.softCloseWindowMinutes * 60 * 1000;
+  if (at.getTime() < windowStart || at >= this.biddingEndTime) return null;
+
+  return new Date(
+    this.biddingEndTime.getTime() + this.softCloseExtensionMinutes * 60 * 1000
+  );
+};
+
+// Instance method to work out the outcome of a bid against the current
+// state, including automatic bids from proxy maximums. Nothing is written;
+// the returned plan is applied by Product.submitBid.
+productSchema.methods.planBid = function ({
+  bidderId,
+  bidder,
+  bidderEmail,
+  amount,
+  maxAmount,
+}) {
+  const now = new Date();
+  const increment = this.minimumBidIncrement;
+  const isProxy = maxAmount !== undefined && maxAmount !== null;
+  const bidderMax = isProxy ? maxAmount : amount;
+
+  if (isProxy && amount && amount > maxAmount) {
+    throw new Error("Bid cannot be higher than your maximum bid");
+  }
+
+  this.validateBid(bidderMax);
+
+  // Bids are matched by user id; older entries only carry the email
+  const isSameBidder = (entry, id, email) =>
+    entry.bidderId
+      ? String(entry.bidderId) === String(id)
+      : entry.bidderEmail === email;
+
+  const proxyBids = (this.proxyBids || []).map((proxy) => ({
+    bidderId: proxy.bidderId,
+    bidder: proxy.bidder,
+    bidderEmail: proxy.bidderEmail,
+    maxAmount: proxy.maxAmount,
+    updatedAt: proxy.updatedAt,
+  }));
+  const leaderProxy = this.bestBidderEmail
+    ? proxyBids.find((proxy) =>
+        isSameBidder(proxy, this.bestBidderId, this.bestBidderEmail)
+      )
+    : null;
+
+  if (isProxy) {
+    const existing = proxyBids.find((proxy) =>
+      isSameBidder(proxy, bidderId, bidderEmail)
+    );
+    if (existing && maxAmount <= existing.maxAmount) {
+      throw new Error(
+        `Maximum bid must be higher than your current maximum of ${existing.maxAmount}€`
+      );
+    }
+    if (existing) {
+      existing.bidderId = bidderId;
+      existing.bidder = bidder;
+      existing.bidderEmail = bidderEmail;
+      existing.maxAmount = maxAmount;
+      existing.updatedAt = now;
+    } else {
+      proxyBids.push({
+        bidderId,
+        bidder,
+        bidderEmail,
+        maxAmount,
+        updatedAt: now,
+      });
+    }
+  }
+
+  const plan = {
+    entries: [],
+    set: { proxyBids },
+    outbid: false,
+    previousLeader: this.bestBidderEmail
+      ? {
+          bidderId: this.bestBidderId,
+          bidder: this.bestBidder,
+          bidderEmail: this.bestBidderEmail,
+        }
+      : null,
+  };
+
+  const isLeader =
+    Boolean(this.bestBidderEmail) &&
+    isSameBidder(
+      { bidderId: this.bestBidderId, bidderEmail: this.bestBidderEmail },
+      bidderId,
+      bidderEmail
+    );
+
+  if (isLeader) {
+    plan.previousLeader = null;
+
+    // Current leader raising their own maximum does not move the price,
+    // unless the new maximum reaches a reserve the price is still below
+    if (isProxy) {
+      const reservePrice = this.reservePrice;
+      if (
+        reservePrice &&
+        this.currentPrice < reservePrice &&
+        maxAmount >= reservePrice
+      ) {
+        plan.entries.push({
+          bidderId,
+          bidder,
+          bidderEmail,
+          amount: reservePrice,
+          timestamp: now,
+          isAutoBid: true,
+        });
+        plan.set.currentPrice = reservePrice;
+      }
+      return plan;
+    }
+
+    plan.entries.push({
+      bidderId,
+      bidder,
+      bidderEmail,
+      amount,
+      timestamp: now,
+      isAutoBid: false,
+    });
+    plan.set.currentPrice = amount;
+    plan.set.bestBidderId = bidderId;
+    plan.set.bestBidder = bidder;
+    plan.set.bestBidderEmail = bidderEmail;
+    return plan;
+  }
+
+  const leaderMax = leaderProxy
+    ? Math.max(leaderProxy.maxAmount, this.currentPrice)
+    : this.currentPrice;
+
+  if (bidderMax > leaderMax) {
+    // New bidder takes the lead - the old leader's proxy defends up to its cap
+    if (leaderProxy && leaderMax > this.currentPrice) {
+      plan.entries.push({
+        bidderId: leaderProxy.bidderId,
+        bidder: leaderProxy.bidder,
+        bidderEmail: leaderProxy.bidderEmail,
+        amount: leaderMax,
+        timestamp: now,
+        isAutoBid: true,
+      });
+    }
+
+    // A proxy maximum at or above the reserve jumps straight to the reserve
+    const price = isProxy
+      ? Math.min(
+          bidderMax,
+          Math.max(
+            this.getMinimumBid(),
+            leaderMax + increment,
+            this.reservePrice || 0
+          )
+        )
+      : amount;
+
+    plan.entries.push({
+      bidderId,
+      bidder,
+      bidderEmail,
+      amount: price,
+      timestamp: now,
+      isAutoBid: false,
+    });
+    plan.set.currentPrice = price;
+    plan.set.bestBidderId = bidderId;
+    plan.set.bestBidder = bidder;
+    plan.set.bestBidderEmail = bidderEmail;
+    return plan;
+  }
+
+  // Without a proxy to answer, a bid that does not beat the price is invalid
+  if (!leaderProxy) {
+    throw new Error(`Bid must be at least ${this.getMinimumBid()}€`);
+  }
+
+  // The leader's proxy maximum beats the new bid - it answers automatically
+  plan.entries.push({
+    bidderId,
+    bidder,
+    bidderEmail,
+    amount: bidderMax,
+    timestamp: now,
+    isAutoBid: false,
+  });
+  const autoAmount = Math.min(
+    leaderMax,
+    Math.max(bidderMax + increment, this.reservePrice || 0)
+  );
+  plan.entries.push({
+    bidderId: leaderProxy.bidderId,
+    bidder: leaderProxy.bidder,
+    bidderEmail: leaderProxy.bidderEmail,
+    amount: autoAmount,
+    timestamp: now,
+    isAutoBid: true,
+  });
+  plan.set.currentPrice = autoAmount;
+  plan.outbid = true;
+  plan.previousLeader = null;
+  return plan;
+};
+
+/**
+ * Place a bid (optionally with a proxy maximum) using optimistic
+ * concurrency: the product is read, the outcome planned, and written only
+ * if no other bid landed in between (`bidVersion` unchanged, auction still
+ * active). Conflicts are retried against the fresh state; a bid that no
+ * longer beats the price after a conflict fails with a 409 BiddingError.
+ *
+ * Resolves to `{ product, outbid, previousLeader, extended }`.
+ */
+productSchema.statics.submitBid = async function (id, bid, maxAttempts = 3) {
+  let conflicted = false;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const product = await this.findById(id).select("+proxyBids +reservePrice");
+
+    if (!product) {
+      throw new BiddingError("Proizvod nije pronađen", 404);
+    }
+
+    if (!product.canBid()) {
+      const timeRemaining = product.timeRemaining;
+      throw new BiddingError(
+        timeRemaining && timeRemaining.expired
+          ? "Licitacija je završena"
+          : "Ovaj proizvod nije dostupan za licitaciju"
+      );
+    }
+
+    let plan;
+    try {
+      plan = product.planBid(bid);
+    } catch (planError) {
+      if (!conflicted) {
+        throw new BiddingError(planError.message);
+      }
+      throw new BiddingError("Netko vas je nadmašio dok ste licitirali", 409, {
+        code: "OUTBID_WHILE_BIDDING",
+        currentPrice: product.currentPrice,
+        minimumBid: product.getMinimumBid(),
+        bestBidder: product.bestBidder,
+      });
+    }
+
+    const now = new Date();
+    const update = {
+      $set: { ...plan.set, updatedAt: now },
+      $push: { bidHistory: { $each: plan.entries } },
+      $inc: { bidVersion: 1 },
+    };
+
+    // Anti-sniping: a bid in the final minutes pushes the end time back
+    const extendedEndTime =
+      plan.entries.length > 0 ? product.getExtendedEndTime(now) : null;
+    if (extendedEndTime) {
+      update.$set.biddingEndTime = extendedEndTime;
+      update.$inc.extensionCount = 1;
+    }
+
+    if (product.reservePrice && plan.set.currentPrice !== undefined) {
+      update.$set.reserveMet = plan.set.currentPrice >= product.reservePrice;
+    }
+
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: id,
+        bidVersion: bidVersionFilter(product.bidVersion),
+        isBidding: true,
+        biddingStatus: "active",
+        biddingEndTime: { $gt: now },
+        stock: { $gt: 0 },
+      },
+      update,
+      { new: true }
+    );
+
+    if (updated) {
+      return {
+        product: updated,
+        outbid: plan.outbid,
+        previousLeader: plan.previousLeader,
+        extended: Boolean(extendedEndTime),
+      };
+    }
+
+    conflicted = true;
+  }
+
+  const latest = await this.findById(id);
+  throw new BiddingError("Netko vas je nadmašio dok ste licitirali", 409, {
+    code: "OUTBID_WHILE_BIDDING",
+    currentPrice: latest ? latest.currentPrice : null,
+    minimumBid: latest ? latest.getMinimumBid() : null,
+    bestBidder: latest ? latest.bestBidder : null,
+  });
+};
+
+// Static method to close an expired auction. The update only applies if
+// no bid or extension landed since the product was read, so an auction
+// extended at the last second stays open. Resolves to the closed product
+// or null when it was left untouched.
+productSchema.statics.closeAuction = function (product) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: product._id,
+      biddingStatus: "active",
+      biddingEndTime: { $lte: now },
+      bidVersion: bidVersionFilter(product.bidVersion),
+    },
+    {
+      $set: {
+        biddingStatus: "ended",
+        // No winner is reserved if the bids never reached the reserve price
+        reservedForWinner: Boolean(product.bestBidder && product.reserveMet),
+        reserveNotMet: Boolean(product.bestBidder && !product.reserveMet),
+        updatedAt: now,
+      },
+    },
+    { new: true }
+  );
+};
+
+// Static method to end an active auction with a Buy-It-Now purchase.
+// Guarded by the bid version so it cannot race a bid that removes the
+// option. Units left over stay on sale at the Buy-It-Now price; the
+// product is only marked sold when the last one is gone. Resolves to the
+// updated product or null.
+productSchema.statics.buyItNow = async function (
+  product,
+  buyer,
+  session = null
+) {
+  const now = new Date();
+
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: product._id,
+      isBidding: true,
+      biddingStatus: "active",
+      biddingEndTime: { $gt: now },
+      stock: { $gte: 1 },
+      bidVersion: bidVersionFilter(product.bidVersion),
+    },
+    {
+      $set: {
+        biddingStatus: "ended",
+        currentPrice: product.buyItNowPrice,
+        bestBidderId: buyer.id || null,
+        bestBidder: buyer.name || buyer.email || String(buyer.id),
+        bestBidderEmail: buyer.email || null,
+        reservedForWinner: false,
+        soldViaBuyItNow: true,
+        updatedAt: now,
+      },
+      $inc: { stock: -1, bidVersion: 1 },
+    },
+    { new: true, session }
+  );
+
+  if (updated && updated.stock === 0) {
+    await this.updateOne(
+      { _id: updated._id, stock: 0, biddingStatus: "ended" },
+      { $set: { biddingStatus: "sold" } },
+      { session }
+    );
+    updated.biddingStatus = "sold";
+  }
+  return updated;
+};
+
+// Static method to cancel a running auction (moderation). Proxy maximums
+// are dropped and nobody is reserved as winner. Resolves to the cancelled
+// product or null when the auction was no longer active.
+productSchema.statics.cancelAuction = function (product) {
+  return this.findOneAndUpdate(
+    { _id: product._id, isBidding: true, biddingStatus: "active" },
+    {
+      $set: {
+        biddingStatus: "cancelled",
+        reservedForWinner: false,
+        proxyBids: [],
+        updatedAt: new Date(),
+      },
+      $inc: { bidVersion: 1 },
+    },
+    { new: true }
+  );
+};
+
 // Static method to find products by category
 productSchema.statics.findByCategory = function (category) {
   return this.find({ category: category });
@@ -351,6 +1049,7 @@ productSchema.statics.findByCategory = function (category) {
 productSchema.statics.findActiveBiddingProducts = function () {
   return this.find({
     isBidding: true,
+    isHidden: { $ne: true },
     biddingStatus: "active",
     biddingEndTime: { $gt: new Date() },
     stock: { $gt: 0 },
@@ -366,10 +1065,14 @@ productSchema.statics.findEndedBiddings = function () {
   });
 };
 
-// Static method to find products reserved for a specific user
-productSchema.statics.findReservedForUser = function (userEmail) {
+// Static method to find products reserved for a specific user. Auctions
+// won before bids were tied to accounts are matched by email.
+productSchema.statics.findReservedForUser = function (userId, userEmail) {
   return this.find({
-    bestBidderEmail: userEmail,
+    $or: [
+      { bestBidderId: userId },
+      { bestBidderId: null, bestBidderEmail: userEmail },
+    ],
     reservedForWinner: true,
     biddingStatus: "ended",
   });
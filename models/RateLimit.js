@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Hit counter for one rate limit key, shared by all server instances
+const rateLimitSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Limiter key, e.g. "login-ip:127.0.0.1"
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { collection: "rateLimits", versionKey: false }
+);
+
+// Finished windows are removed by MongoDB (about once a minute, so reads
+// still check resetAt)
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a hit in the current window, starting a new
+// window when the last one is over. Resolves to { count, resetAt }.
+rateLimitSchema.statics.hit = async function (key, windowMs) {
+  const now = new Date();
+
+  const current = await this.findOneAndUpdate(
+    { _id: key, resetAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+  if (current) return { count: current.count, resetAt: current.resetAt };
+
+  try {
+    const started = await this.findOneAndUpdate(
+      { _id: key, resetAt: { $lte: now } },
+      { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true, new: true }
+    );
+    return { count: started.count, resetAt: started.resetAt };
+  } catch (error) {
+    // Another instance started the window first, count in that one
+    if (error.code === 11000) return this.hit(key, windowMs);
+    throw error;
+  }
+};
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Login session holding the (hashed) current refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the token replaced by the last rotation, to detect reuse
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Only hashes of refresh tokens are stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const generateToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to issue a new refresh token, invalidating the old one
+sessionSchema.methods.rotate = async function (ttlMs) {
+  const refreshToken = generateToken();
+
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + ttlMs);
+  await this.save();
+
+  return refreshToken;
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function (reason = "logout") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to open a session; resolves to { session, refreshToken }
+sessionSchema.statics.open = async function (
+  userId,
+  { userAgent = "", ip = "", ttlMs }
+) {
+  const refreshToken = generateToken();
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to.
+// `reused` is true when the token was already rotated away.
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const session = await this.findOne({ refreshTokenHash: hash });
+  if (session) return { session, reused: false };
+
+  const rotated = await this.findOne({ previousTokenHash: hash });
+  if (rotated) return { session: rotated, reused: true };
+
+  return { session: null, reused: false };
+};
+
+// Static method to list the active sessions of a user
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason = "logout-all",
+  exceptSessionId = null
+) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import { ROLES } from "../permissions.js";
+
+// User Schema
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    surname: {
+      type: String,
+      required: true,
+    },
+    oib: {
+      type: String,
+      required: true,
+      unique: true,
+      validate: {
+        validator: function (v) {
+          return /^\d{11}$/.test(v);
+        },
+        message: "OIB must be exactly 11 digits",
+      },
+    },
+    address: {
+      type: String,
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      validate: {
+        validator: function (v) {
+          return /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/.test(v);
+        },
+        message: "Please enter a valid email",
+      },
+    },
+    password: {
+      type: String,
+      required: true,
+    },
+    // Set once the user follows the link from the verification email
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "user",
+    },
+    // Language for emails and notifications
+    language: {
+      type: String,
+      enum: ["hr", "en"],
+      default: "hr",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { collection: "korisnici", versionKey: false }
+);
+
+const User = mongoose.model("User", userSchema);
+
+export default User;
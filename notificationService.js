@@ -0,0 +1,466 @@
+import mongoose from "mongoose";
+import User from "./models/User.js";
+import Notification from "./models/Notification.js";
+import { sendTemplatedEmail } from "./mailer.js";
+
+// Titles and messages for in-app notifications
+const inAppTexts = {
+  outbid: {
+    hr: (d) => ({
+      title: `Nadmašena ponuda: ${d.productName}`,
+      message: `Trenutna cijena je ${d.currentPrice} €.`,
+    }),
+    en: (d) => ({
+      title: `You have been outbid: ${d.productName}`,
+      message: `The current price is ${d.currentPrice} €.`,
+    }),
+  },
+  auctionWon: {
+    hr: (d) => ({
+      title: `Pobijedili ste na licitaciji: ${d.productName}`,
+      message: `Proizvod je rezerviran za vas po cijeni od ${d.amount} €.`,
+    }),
+    en: (d) => ({
+      title: `You won the auction: ${d.productName}`,
+      message: `The item is reserved for you at ${d.amount} €.`,
+    }),
+  },
+  auctionEnded: {
+    hr: (d) => ({
+      title: `Licitacija je završena: ${d.productName}`,
+      message: `Pobjednik je ${d.winner} s ponudom od ${d.amount} €.`,
+    }),
+    en: (d) => ({
+      title: `Auction ended: ${d.productName}`,
+      message: `${d.winner} won with a bid of ${d.amount} €.`,
+    }),
+  },
+  auctionEndedNoBids: {
+    hr: (d) => ({
+      title: `Licitacija je završena bez ponuda: ${d.productName}`,
+      message: "Proizvod možete ponovno staviti na prodaju.",
+    }),
+    en: (d) => ({
+      title: `Auction ended without bids: ${d.productName}`,
+      message: "You can list the item again.",
+    }),
+  },
+  reserveNotMet: {
+    hr: (d) => ({
+      title: `Minimalna cijena nije postignuta: ${d.productName}`,
+      message: `Licitacija je završena na ${d.amount} €, bez pobjednika.`,
+    }),
+    en: (d) => ({
+      title: `Reserve price not met: ${d.productName}`,
+      message: `The auction ended at ${d.amount} € without a winner.`,
+    }),
+  },
+  itemSold: {
+    hr: (d) => ({
+      title: `Prodano: ${d.productNames}`,
+      message: `Narudžba ${d.orderNumber}.`,
+    }),
+    en: (d) => ({
+      title: `Sold: ${d.productNames}`,
+      message: `Order ${d.orderNumber}.`,
+    }),
+  },
+  orderStatusChanged: {
+    hr: (d) => ({
+      title: `Narudžba ${d.orderNumber}: ${d.status}`,
+      message: d.note || "Status narudžbe je promijenjen.",
+    }),
+    en: (d) => ({
+      title: `Order ${d.orderNumber}: ${d.status}`,
+      message: d.note || "The order status has changed.",
+    }),
+  },
+  productRemoved: {
+    hr: (d) => ({
+      title: `Proizvod je uklonjen: ${d.productName}`,
+      message: d.reason || "Naš tim je uklonio vaš oglas.",
+    }),
+    en: (d) => ({
+      title: `Listing removed: ${d.productName}`,
+      message: d.reason || "Our team removed your listing.",
+    }),
+  },
+  productHidden: {
+    hr: (d) => ({
+      title: `Oglas je skriven: ${d.productName}`,
+      message: d.reason || "Oglas je skriven do provjere.",
+    }),
+    en: (d) => ({
+      title: `Listing hidden: ${d.productName}`,
+      message: d.reason || "The listing is hidden pending review.",
+    }),
+  },
+  auctionCancelled: {
+    hr: (d) => ({
+      title: `Licitacija je otkazana: ${d.productName}`,
+      message: d.reason || "Licitaciju je otkazao moderator.",
+    }),
+    en: (d) => ({
+      title: `Auction cancelled: ${d.productName}`,
+      message: d.reason || "A moderator cancelled the auction.",
+    }),
+  },
+};
+
+/**
+ * Store an in-app notification for a user (keyed by User _id).
+ * Recipients are given by id or, for bidders, by email.
+ */
+export const createInAppNotification = async ({
+  userId,
+  email,
+  type,
+  data = {},
+}) => {
+  let user = null;
+  if (userId && mongoose.isValidObjectId(userId)) {
+    user = await User.findById(userId).select("_id language").lean();
+  } else if (email) {
+    user = await User.findOne({ email }).select("_id language").lean();
+  }
+  if (!user) return null;
+
+  const texts = inAppTexts[type];
+  const { title, message } = (texts[user.language] || texts.hr)(data);
+
+  return Notification.create({
+    userId: user._id,
+    type,
+    title,
+    message,
+    data: {
+      productId: data.productId ? String(data.productId) : undefined,
+      orderId: data.orderId ? String(data.orderId) : undefined,
+    },
+  });
+};
+
+// Look up the recipient's name and preferred language by email
+const getRecipient = async (email, fallbackName) => {
+  const user = await User.findOne({ email }).select("name language").lean();
+
+  return {
+    email,
+    name: user ? user.name : fallbackName || email,
+    language: user && user.language ? user.language : "hr",
+  };
+};
+
+/**
+ * Run a notification without blocking the request that triggered it.
+ */
+export const dispatchNotification = (promise, label) => {
+  promise.catch((error) => {
+    console.error(`❌ Notification "${label}" failed:`, error.message);
+  });
+};
+
+/**
+ * Tell the auction winner that the product is reserved for them.
+ */
+export const notifyAuctionWon = async (product) => {
+  const recipient = await getRecipient(
+    product.bestBidderEmail,
+    product.bestBidder
+  );
+
+  return sendTemplatedEmail({
+    to: recipient.email,
+    template: "auctionWon",
+    language: recipient.language,
+    data: {
+      name: recipient.name,
+      productId: product._id,
+      productName: product.name,
+      amount: product.currentPrice,
+      sellerEmail: product.userEmail,
+    },
+    context: { productId: String(product._id) },
+  });
+};
+
+/**
+ * Tell the previous leader that someone placed a higher bid.
+ */
+export const notifyOutbid = async (product, previousLeader) => {
+  const recipient = await getRecipient(
+    previousLeader.bidderEmail,
+    previousLeader.bidder
+  );
+
+  await createInAppNotification({
+    userId: previousLeader.bidderId,
+    email: previousLeader.bidderEmail,
+    type: "outbid",
+    data: {
+      productId: product._id,
+      productName: product.name,
+      currentPrice: product.currentPrice,
+    },
+  });
+
+  return sendTemplatedEmail({
+    to: recipient.email,
+    template: "outbid",
+    language: recipient.language,
+    data: {
+      name: recipient.name,
+      productId: product._id,
+      productName: product.name,
+      currentPrice: product.currentPrice,
+      endTime: product.biddingEndTime,
+    },
+    context: { productId: String(product._id) },
+  });
+};
+
+/**
+ * Remind everyone who bid on an auction that it ends soon.
+ */
+export const notifyAuctionEndingSoon = async (product) => {
+  const bidders = new Map();
+  for (const bid of product.bidHistory) {
+    bidders.set(bid.bidderEmail, bid.bidder);
+  }
+
+  const logs = [];
+  for (const [email, bidderName] of bidders) {
+    const recipient = await getRecipient(email, bidderName);
+    logs.push(
+      await sendTemplatedEmail({
+        to: recipient.email,
+        template: "auctionEndingSoon",
+        language: recipient.language,
+        data: {
+          name: recipient.name,
+          productId: product._id,
+          productName: product.name,
+          currentPrice: product.currentPrice,
+          endTime: product.biddingEndTime,
+          isLeading: product.bestBidderEmail === email,
+        },
+        context: { productId: String(product._id) },
+      })
+    );
+  }
+
+  return logs;
+};
+
+/**
+ * In-app notifications when expiry processing closes an auction: the
+ * winner and seller on a sale, otherwise the seller (and the top bidder
+ * when the reserve was not met).
+ */
+export const notifyAuctionClosed = async (product) => {
+  const data = {
+    productId: product._id,
+    productName: product.name,
+    amount: product.currentPrice,
+    winner: product.bestBidder,
+  };
+
+  if (product.reservedForWinner) {
+    await createInAppNotification({
+      userId: product.bestBidderId,
+      email: product.bestBidderEmail,
+      type: "auctionWon",
+      data,
+    });
+    await createInAppNotification({
+      userId: product.userId,
+      type: "auctionEnded",
+      data,
+    });
+  } else if (product.reserveNotMet) {
+    await createInAppNotification({
+      userId: product.userId,
+      type: "reserveNotMet",
+      data,
+    });
+    await createInAppNotification({
+      userId: product.bestBidderId,
+      email: product.bestBidderEmail,
+      type: "reserveNotMet",
+      data,
+    });
+  } else {
+    await createInAppNotification({
+      userId: product.userId,
+      type: "auctionEndedNoBids",
+      data,
+    });
+  }
+};
+
+/**
+ * Tell the buyer (or the sellers, when the buyer made the change) that an
+ * order changed status.
+ */
+export const notifyOrderStatusChanged = async (order, changedBy, note) => {
+  const data = {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    note,
+  };
+
+  if (String(order.buyerId) !== String(changedBy)) {
+    await createInAppNotification({
+      userId: order.buyerId,
+      type: "orderStatusChanged",
+      data,
+    });
+    return;
+  }
+
+  const sellerIds = new Set(order.items.map((item) => item.sellerId));
+  for (const sellerId of sellerIds) {
+    await createInAppNotification({
+      userId: sellerId,
+      type: "orderStatusChanged",
+      data,
+    });
+  }
+};
+
+/**
+ * Tell a seller that staff removed their product.
+ */
+export const notifyProductRemoved = async (product, reason) =>
+  createInAppNotification({
+    userId: product.userId,
+    type: "productRemoved",
+    data: {
+      productId: product._id,
+      productName: product.name,
+      reason,
+    },
+  });
+
+/**
+ * Tell a seller that a moderator hid their product.
+ */
+export const notifyProductHidden = async (product, reason) =>
+  createInAppNotification({
+    userId: product.userId,
+    type: "productHidden",
+    data: {
+      productId: product._id,
+      productName: product.name,
+      reason,
+    },
+  });
+
+/**
+ * Tell the seller and everyone who bid that an auction was cancelled.
+ */
+export const notifyAuctionCancelled = async (product, reason) => {
+  const data = {
+    productId: product._id,
+    productName: product.name,
+    reason,
+  };
+
+  await createInAppNotification({
+    userId: product.userId,
+    type: "auctionCancelled",
+    data,
+  });
+
+  // Bidders by account, or by email for bids placed before accounts
+  const bidders = new Map();
+  for (const bid of product.bidHistory || []) {
+    const key = bid.bidderId ? String(bid.bidderId) : bid.bidderEmail;
+    if (key && key !== String(product.userId)) {
+      bidders.set(key, { userId: bid.bidderId, email: bid.bidderEmail });
+    }
+  }
+
+  for (const bidder of bidders.values()) {
+    await createInAppNotification({
+      ...bidder,
+      type: "auctionCancelled",
+      data,
+    });
+  }
+};
+
+/**
+ * Tell every seller in an order which of their products were sold.
+ */
+export const notifyItemSold = async (order) => {
+  const itemsBySeller = new Map();
+  for (const item of order.items) {
+    if (!item.sellerEmail) continue;
+    const items = itemsBySeller.get(item.sellerEmail) || [];
+    items.push(item);
+    itemsBySeller.set(item.sellerEmail, items);
+  }
+
+  const logs = [];
+  for (const [email, items] of itemsBySeller) {
+    await createInAppNotification({
+      userId: items[0].sellerId,
+      type: "itemSold",
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        productNames: items.map((item) => item.productName).join(", "),
+      },
+    });
+
+    const recipient = await getRecipient(email);
+    logs.push(
+      await sendTemplatedEmail({
+        to: recipient.email,
+        template: "itemSold",
+        language: recipient.language,
+        data: {
+          name: recipient.name,
+          orderNumber: order.orderNumber,
+          buyerEmail: order.buyerEmail,
+          items,
+        },
+        context: { orderId: String(order._id) },
+      })
+    );
+  }
+
+  return logs;
+};
+
+/**
+ * Send the buyer a confirmation of their order.
+ */
+export const notifyOrderConfirmation = async (order) => {
+  const user = await User.findById(order.buyerId)
+    .select("name email language")
+    .lean();
+  const email = order.buyerEmail || (user && user.email);
+  if (!email) return null;
+
+  return sendTemplatedEmail({
+    to: email,
+    template: "orderConfirmation",
+    language: user && user.language ? user.language : "hr",
+    data: {
+      name: user ? user.name : email,
+      orderNumber: order.orderNumber,
+      items: order.items,
+      totalAmount: order.totalAmount,
+    },
+    context: { orderId: String(order._id) },
+  });
+};
+
+/**
+ * Emails for a new order: confirmation to the buyer, "sold" to the sellers.
+ */
+export const notifyOrderPlaced = async (order) =>
+  Promise.all([notifyOrderConfirmation(order), notifyItemSold(order)]);
@@ -0,0 +1,147 @@
+import express from "express";
+import Notification from "./models/Notification.js";
+import { authenticateToken } from "./auth.js";
+
+const router = express.Router();
+
+// Get notifications of the authenticated user
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+    const query = { userId: req.user.id };
+
+    if (unread === "true") query.read = false;
+    if (type) query.type = type;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean();
+    const totalCount = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({
+      message: "Greška pri dohvaćanju obavijesti",
+      error: error.message,
+    });
+  }
+});
+
+// Get number of unread notifications
+router.get("/unread-count", authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.id);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    res.status(500).json({
+      message: "Greška pri dohvaćanju broja obavijesti",
+      error: error.message,
+    });
+  }
+});
+
+// Mark all notifications as read
+router.patch("/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user.id);
+    res.json({
+      message: "Sve obavijesti su označene kao pročitane",
+      updated: result.nModified,
+    });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({
+      message: "Greška pri označavanju obavijesti",
+      error: error.message,
+    });
+  }
+});
+
+// Mark one notification as read
+router.patch("/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: "Nevaljan ID obavijesti",
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, userId: req.user.id },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        message: "Obavijest nije pronađena",
+      });
+    }
+
+    res.json({
+      message: "Obavijest je označena kao pročitana",
+      notification,
+    });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({
+      message: "Greška pri označavanju obavijesti",
+      error: error.message,
+    });
+  }
+});
+
+// Delete a notification
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: "Nevaljan ID obavijesti",
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: id,
+      userId: req.user.id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: "Obavijest nije pronađena",
+      });
+    }
+
+    res.json({
+      message: "Obavijest je obrisana",
+    });
+  } catch (error) {
+    console.error("Error deleting notification:", error);
+    res.status(500).json({
+      message: "Greška pri brisanju obavijesti",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,290 @@
+import express from "express";
+import Order, { STATUS_TRANSITIONS } from "./models/Order.js";
+import Payment from "./models/Payment.js";
+import { refundPayment, PaymentError } from "./payments/paymentService.js";
+import { authenticateToken, requirePermission } from "./auth.js";
+import { hasPermission } from "./permissions.js";
+import {
+  dispatchNotification,
+  notifyOrderStatusChanged,
+} from "./notificationService.js";
+
+const router = express.Router();
+
+// Parse pagination parameters shared by order listings
+const getPagination = (query) => {
+  const pageNum = Math.max(1, parseInt(query.page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// Run a paginated order query and build the response body
+const paginateOrders = async (query, pagination) => {
+  const { pageNum, limitNum, skip } = pagination;
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+  const totalCount = await Order.countDocuments(query);
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  return {
+    orders,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalCount,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      limit: limitNum,
+    },
+  };
+};
+
+// Get orders placed by the authenticated user
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const query = { buyerId: req.user.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    res.json(await paginateOrders(query, getPagination(req.query)));
+  } catch (error) {
+    console.error("Error fetching orders:", error);
+    res.status(500).json({
+      message: "Greška pri dohvaćanju narudžbi",
+      error: error.message,
+    });
+  }
+});
+
+// Get orders containing products sold by the authenticated user
+router.get("/sales", authenticateToken, async (req, res) => {
+  try {
+    const query = { "items.sellerId": String(req.user.id) };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    res.json(await paginateOrders(query, getPagination(req.query)));
+  } catch (error) {
+    console.error("Error fetching sales:", error);
+    res.status(500).json({
+      message: "Greška pri dohvaćanju prodaja",
+      error: error.message,
+    });
+  }
+});
+
+// Get all orders (staff with orders:read)
+router.get(
+  "/admin/all",
+  authenticateToken,
+  requirePermission("orders:read"),
+  async (req, res) => {
+    try {
+      const { status, buyerId, sellerId, from, to } = req.query;
+      const query = {};
+
+      if (status) query.status = status;
+      if (buyerId) query.buyerId = buyerId;
+      if (sellerId) query["items.sellerId"] = sellerId;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+      }
+
+      res.json(await paginateOrders(query, getPagination(req.query)));
+    } catch (error) {
+      console.error("Error fetching all orders:", error);
+      res.status(500).json({
+        message: "Greška pri dohvaćanju narudžbi",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get order statistics grouped by status (staff with orders:read)
+router.get(
+  "/admin/stats",
+  authenticateToken,
+  requirePermission("orders:read"),
+  async (req, res) => {
+    try {
+      const stats = await Order.aggregate([
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            totalAmount: { $sum: "$totalAmount" },
+          },
+        },
+      ]);
+
+      res.json({ stats });
+    } catch (error) {
+      console.error("Error fetching order stats:", error);
+      res.status(500).json({
+        message: "Greška pri dohvaćanju statistike narudžbi",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get single order - buyer, seller of an item or staff with orders:read
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: "Nevaljan ID narudžbe",
+      });
+    }
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Narudžba nije pronađena",
+      });
+    }
+
+    const isBuyer = String(order.buyerId) === String(req.user.id);
+    const isSeller = order.hasSeller(req.user.id);
+
+    if (!isBuyer && !isSeller && !hasPermission(req.user.role, "orders:read")) {
+      return res.status(403).json({
+        message: "Nemate dozvolu za pregled ove narudžbe",
+      });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).json({
+      message: "Greška pri dohvaćanju narudžbe",
+      error: error.message,
+    });
+  }
+});
+
+// Update order status
+// Buyers may cancel pending orders, sellers ship/deliver/cancel, admins anything
+router.patch("/:id/status", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: "Nevaljan ID narudžbe",
+      });
+    }
+
+    if (!Object.keys(STATUS_TRANSITIONS).includes(status)) {
+      return res.status(400).json({
+        message: "Nevaljan status narudžbe",
+      });
+    }
+
+    // Orders become paid only through a captured payment
+    if (status === "paid") {
+      return res.status(400).json({
+        message: "Narudžba postaje plaćena tek nakon uspješne naplate",
+      });
+    }
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Narudžba nije pronađena",
+      });
+    }
+
+    const isOrderManager = hasPermission(req.user.role, "orders:manage");
+    const isBuyer = String(order.buyerId) === String(req.user.id);
+    // Status applies to the whole order, so a seller may only change it
+    // when every item is theirs; mixed orders are handled by order managers
+    const isSoleSeller = order.isSoleSeller(req.user.id);
+
+    const allowed =
+      isOrderManager ||
+      (isSoleSeller &&
+        ["shipped", "delivered", "cancelled"].includes(status)) ||
+      (isBuyer && status === "cancelled" && order.status === "pending");
+
+    if (!allowed) {
+      return res.status(403).json({
+        message: "Nemate dozvolu za promjenu statusa ove narudžbe",
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Status narudžbe ne može se promijeniti iz "${order.status}" u "${status}"`,
+      });
+    }
+
+    // Only the request that actually changes the status acts on it, so a
+    // cancelled order is restocked and refunded once
+    const updated = await order.transitionTo(status, req.user.id, note);
+    if (!updated) {
+      return res.status(409).json({
+        message: "Status narudžbe se u međuvremenu promijenio",
+      });
+    }
+
+    let refundError = null;
+    if (status === "cancelled") {
+      await updated.restockItems();
+
+      const payment =
+        updated.paymentId && (await Payment.findById(updated.paymentId));
+      if (payment) {
+        try {
+          await refundPayment(payment, note || "order cancelled");
+        } catch (error) {
+          if (!(error instanceof PaymentError)) throw error;
+          console.error(
+            `❌ Refund for cancelled order ${updated.orderNumber} failed:`,
+            error.message
+          );
+          refundError = error;
+        }
+      }
+    }
+
+    dispatchNotification(
+      notifyOrderStatusChanged(updated, req.user.id, note),
+      "order status changed"
+    );
+
+    if (refundError) {
+      return res.status(refundError.status).json({
+        message: `Narudžba je otkazana, ali povrat novca nije uspio: ${refundError.message}`,
+        order: updated,
+      });
+    }
+
+    res.json({
+      message: "Status narudžbe je ažuriran",
+      order: updated,
+    });
+  } catch (error) {
+    console.error("Error updating order status:", error);
+    res.status(500).json({
+      message: "Greška pri ažuriranju statusa narudžbe",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
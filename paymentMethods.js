@@ -0,0 +1,103 @@
+import express from "express";
+import PaymentMethod from "./models/PaymentMethod.js";
+import { getProviderByName } from "./payments/index.js";
+import { validateCardInput } from "./payments/cards.js";
+import { authenticateToken } from "./auth.js";
+
+const router = express.Router();
+
+// List the current user's payment methods
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const methods = await PaymentMethod.find({ userId: req.user._id }).sort({
+      isDefault: -1,
+      createdAt: -1,
+    });
+    res.json(methods);
+  } catch (error) {
+    console.error("Error fetching payment methods:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add a card ({ cardNumber, expiryDate: "MM/YY" })
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { cardNumber, expiryDate } = req.body;
+
+    const errors = validateCardInput({ cardNumber, expiryDate });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid card", errors });
+    }
+
+    const method = await PaymentMethod.addCard(req.user._id, {
+      cardNumber,
+      expiryDate,
+    });
+
+    res.status(201).json(method);
+  } catch (error) {
+    console.error("Error adding payment method:", error.message);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Make a payment method the default
+router.patch("/:id/default", authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: "Invalid payment method ID" });
+    }
+
+    const method = await PaymentMethod.setDefault(req.user._id, req.params.id);
+    if (!method) {
+      return res.status(404).json({ message: "Payment method not found" });
+    }
+
+    res.json(method);
+  } catch (error) {
+    console.error("Error updating payment method:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a payment method
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: "Invalid payment method ID" });
+    }
+
+    const method = await PaymentMethod.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).select("+token");
+    if (!method) {
+      return res.status(404).json({ message: "Payment method not found" });
+    }
+
+    const provider = getProviderByName(method.provider);
+    if (provider) {
+      await provider.deletePaymentMethod(method.token);
+    }
+    await method.deleteOne();
+
+    // Keep a default card when others remain
+    if (method.isDefault) {
+      const next = await PaymentMethod.findOne({ userId: req.user._id }).sort({
+        createdAt: -1,
+      });
+      if (next) {
+        next.isDefault = true;
+        await next.save();
+      }
+    }
+
+    res.json({ message: "Payment method removed" });
+  } catch (error) {
+    console.error("Error removing payment method:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
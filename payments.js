@@ -0,0 +1,113 @@
+import express from "express";
+import Payment from "./models/Payment.js";
+import { getProviderByName } from "./payments/index.js";
+import { handleWebhookEvent } from "./payments/paymentService.js";
+import { authenticateToken, requirePermission } from "./auth.js";
+
+const router = express.Router();
+
+const WEBHOOK_EVENT_TYPES = [
+  "payment.captured",
+  "payment.failed",
+  "payment.refunded",
+];
+
+// Verify a provider webhook and apply it
+const processWebhook = async (provider, headers, rawBody) => {
+  const event = provider.parseWebhook({ headers, rawBody });
+  return handleWebhookEvent(provider.name, event);
+};
+
+// Webhooks sent by payment providers (signature checked by the provider)
+router.post("/webhook/:provider", async (req, res) => {
+  const provider = getProviderByName(req.params.provider);
+
+  if (!provider || !provider.parseWebhook) {
+    return res.status(404).json({ message: "Nepoznat pružatelj plaćanja" });
+  }
+
+  // Bad signatures and malformed bodies are the sender's fault
+  let event;
+  try {
+    event = provider.parseWebhook({
+      headers: req.headers,
+      rawBody: req.rawBody || Buffer.from(""),
+    });
+  } catch (error) {
+    console.error("Invalid payment webhook:", error.message);
+    return res.status(400).json({
+      message: "Nevaljan webhook",
+      error: error.message,
+    });
+  }
+
+  // Processing failures get a 5xx so the provider retries the delivery
+  let result;
+  try {
+    result = await handleWebhookEvent(provider.name, event);
+  } catch (error) {
+    console.error("Error processing payment webhook:", error);
+    return res.status(500).json({
+      message: "Greška pri obradi webhooka",
+      error: error.message,
+    });
+  }
+
+  res.json({ received: true, handled: result.handled });
+});
+
+// Simulate a provider webhook for a payment (fake provider, admin only)
+router.post(
+  "/:id/simulate-webhook",
+  authenticateToken,
+  requirePermission("payments:manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { type, reason } = req.body;
+
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ message: "Nevaljan ID plaćanja" });
+      }
+
+      if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          message: "Nevaljan tip događaja",
+          allowedTypes: WEBHOOK_EVENT_TYPES,
+        });
+      }
+
+      const payment = await Payment.findById(id);
+      if (!payment) {
+        return res.status(404).json({ message: "Plaćanje nije pronađeno" });
+      }
+
+      const provider = getProviderByName(payment.provider);
+      if (!provider || !provider.buildWebhook) {
+        return res.status(400).json({
+          message: "Pružatelj plaćanja ne podržava simulirane događaje",
+        });
+      }
+
+      const { headers, rawBody } = provider.buildWebhook({
+        type,
+        paymentId: payment.providerPaymentId,
+        reason,
+      });
+      const result = await processWebhook(provider, headers, rawBody);
+
+      res.json({
+        message: "Događaj je obrađen",
+        payment: result.payment,
+      });
+    } catch (error) {
+      console.error("Error simulating payment webhook:", error);
+      res.status(500).json({
+        message: "Greška pri simulaciji događaja plaćanja",
+        error: error.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,77 @@
+/**
+ * Card number helpers. Raw card numbers are only handled in memory on
+ * their way to the payment provider and are never stored or logged.
+ */
+
+// Remove spaces and dashes users type between digit groups
+export const normalizeCardNumber = (cardNumber) =>
+  String(cardNumber ?? "").replace(/[\s-]/g, "");
+
+// Luhn (mod 10) checksum used by all card networks
+export const luhnCheck = (cardNumber) => {
+  const digits = normalizeCardNumber(cardNumber);
+  if (!/^\d{12,19}$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+// Card brand from the number prefix
+export const detectBrand = (cardNumber) => {
+  const digits = normalizeCardNumber(cardNumber);
+
+  if (/^4/.test(digits)) return "visa";
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return "mastercard";
+  if (/^3[47]/.test(digits)) return "amex";
+  if (/^(6011|65|64[4-9])/.test(digits)) return "discover";
+  if (/^3(0[0-5]|[689])/.test(digits)) return "diners";
+  if (/^(5018|5020|5038|6304|6759|676[1-3])/.test(digits)) return "maestro";
+
+  return "unknown";
+};
+
+/**
+ * Parse an "MM/YY" expiry date into { expMonth, expYear } (4-digit year),
+ * or null when the format is invalid.
+ */
+export const parseExpiry = (expiryDate) => {
+  const match = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec(String(expiryDate ?? ""));
+  if (!match) return null;
+
+  return { expMonth: Number(match[1]), expYear: 2000 + Number(match[2]) };
+};
+
+// A card is valid through the last day of its expiry month
+export const isExpired = (expMonth, expYear, now = new Date()) =>
+  expYear < now.getFullYear() ||
+  (expYear === now.getFullYear() && expMonth < now.getMonth() + 1);
+
+/**
+ * Validate card input ({ cardNumber, expiryDate }).
+ * Returns a list of error messages (empty when the card is valid).
+ */
+export const validateCardInput = ({ cardNumber, expiryDate } = {}) => {
+  const errors = [];
+
+  if (!luhnCheck(cardNumber)) {
+    errors.push("Card number is invalid");
+  }
+
+  const expiry = parseExpiry(expiryDate);
+  if (!expiry) {
+    errors.push("Expiry date must be in MM/YY format");
+  } else if (isExpired(expiry.expMonth, expiry.expYear)) {
+    errors.push("Card has expired");
+  }
+
+  return errors;
+};
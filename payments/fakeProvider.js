@@ -0,0 +1,116 @@
+import crypto from "crypto";
+import { normalizeCardNumber, detectBrand, parseExpiry } from "./cards.js";
+
+/**
+ * Local payment provider for development and tests. Nothing leaves the
+ * process: cards are "tokenised" into random tokens and only brand, last
+ * four digits and expiry are kept.
+ *
+ * Outcomes are deterministic and depend on the card number:
+ * - 4000000000000002: authorization declined (card_declined)
+ * - 4000000000009995: authorization declined (insufficient_funds)
+ * - 4000000000000341: authorization succeeds, capture fails
+ * - any other valid card: succeeds
+ */
+const TEST_CARD_OUTCOMES = {
+  4000000000000002: "card_declined",
+  4000000000009995: "insufficient_funds",
+  4000000000000341: "capture_fails",
+};
+
+// The outcome travels inside the token and payment id, so the provider
+// needs no state and behaves the same after a restart
+const outcomeOf = (reference) => {
+  const match = /^fake_(?:pm|pay)_([a-z_]+)_[0-9a-f]+$/.exec(reference || "");
+  return match ? match[1] : "ok";
+};
+
+const randomId = () => crypto.randomBytes(12).toString("hex");
+
+// No default: a known secret would let anyone forge webhook events
+const webhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET environment variable is not set");
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (rawBody) =>
+  crypto.createHmac("sha256", webhookSecret()).update(rawBody).digest("hex");
+
+const fakeProvider = {
+  name: "fake",
+
+  async tokenizeCard({ cardNumber, expiryDate }) {
+    const digits = normalizeCardNumber(cardNumber);
+    const { expMonth, expYear } = parseExpiry(expiryDate);
+    const outcome = TEST_CARD_OUTCOMES[digits] || "ok";
+
+    return {
+      token: `fake_pm_${outcome}_${randomId()}`,
+      brand: detectBrand(digits),
+      last4: digits.slice(-4),
+      expMonth,
+      expYear,
+    };
+  },
+
+  async deletePaymentMethod() {
+    // Nothing is stored on the fake provider's side
+  },
+
+  async authorize({ token }) {
+    const outcome = outcomeOf(token);
+
+    if (outcome === "card_declined" || outcome === "insufficient_funds") {
+      return {
+        id: `fake_pay_${outcome}_${randomId()}`,
+        status: "failed",
+        failureReason: outcome,
+      };
+    }
+
+    return { id: `fake_pay_${outcome}_${randomId()}`, status: "authorized" };
+  },
+
+  async capture(paymentId) {
+    if (outcomeOf(paymentId) === "capture_fails") {
+      return { status: "failed", failureReason: "capture_failed" };
+    }
+    return { status: "captured" };
+  },
+
+  // Refunding an authorized payment releases the hold
+  async refund() {
+    return { status: "refunded" };
+  },
+
+  /**
+   * Verify and parse a webhook request. Events are JSON
+   * `{ id, type, paymentId, reason }` signed with HMAC-SHA256 of the raw
+   * body in the X-Fake-Signature header.
+   */
+  parseWebhook({ headers, rawBody }) {
+    const signature = headers["x-fake-signature"] || "";
+    const expected = sign(rawBody);
+
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+
+  // Build a signed webhook request, as the provider would send it
+  buildWebhook({ type, paymentId, reason = null }) {
+    const rawBody = Buffer.from(
+      JSON.stringify({ id: `evt_${randomId()}`, type, paymentId, reason })
+    );
+    return { headers: { "x-fake-signature": sign(rawBody) }, rawBody };
+  },
+};
+
+export default fakeProvider;
@@ -0,0 +1,68 @@
+import fakeProvider from "./fakeProvider.js";
+
+/**
+ * Payment providers implement:
+ * - name: identifier stored with every PaymentMethod
+ * - tokenizeCard({ cardNumber, expiryDate }): resolves to
+ *   { token, brand, last4, expMonth, expYear }; the raw number must not be
+ *   kept anywhere
+ * - deletePaymentMethod(token): removes the card on the provider's side
+ * - authorize({ amount, currency, token, reference }): resolves to
+ *   { id, status: "authorized" | "failed", failureReason }
+ * - capture(id, amount): resolves to { status: "captured" | "failed", failureReason }
+ * - refund(id, amount): resolves to { status: "refunded" | "failed", failureReason };
+ *   for an authorized payment this releases the hold
+ * - parseWebhook({ headers, rawBody }): verifies the signature and returns
+ *   the event { id, type, paymentId, reason }; throws when it is invalid
+ */
+const providers = new Map([[fakeProvider.name, fakeProvider]]);
+
+/**
+ * Throw when the webhook signing secret is missing. Call at startup: the
+ * fake provider's webhook route is always mounted.
+ */
+export const assertPaymentConfig = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET environment variable is not set");
+  }
+};
+
+let activeProvider = null;
+
+/**
+ * Register an additional provider (e.g. a real payment gateway).
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Select the active provider by name or pass a provider object (tests).
+ */
+export const setPaymentProvider = (nameOrProvider) => {
+  if (typeof nameOrProvider !== "string") {
+    activeProvider = nameOrProvider;
+    return;
+  }
+
+  const provider = providers.get(nameOrProvider);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${nameOrProvider}`);
+  }
+  activeProvider = provider;
+};
+
+/**
+ * The active provider, chosen with PAYMENT_PROVIDER (default: fake).
+ */
+export const getPaymentProvider = () => {
+  if (!activeProvider) {
+    setPaymentProvider(process.env.PAYMENT_PROVIDER || "fake");
+  }
+  return activeProvider;
+};
+
+/**
+ * Provider a stored payment method was created with.
+ */
+export const getProviderByName = (name) => providers.get(name) || null;
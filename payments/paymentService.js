@@ -0,0 +1,264 @@
+import Payment from "../models/Payment.js";
+import Order from "../models/Order.js";
+import PaymentMethod from "../models/PaymentMethod.js";
+import { getPaymentProvider, getProviderByName } from "./index.js";
+
+/**
+ * Error raised when a payment cannot be made. `status` is the HTTP status
+ * the route should answer with.
+ */
+export class PaymentError extends Error {
+  constructor(message, status = 402, reason = null) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// Croatian messages for provider failure reasons
+const FAILURE_MESSAGES = {
+  card_declined: "Kartica je odbijena",
+  insufficient_funds: "Nedovoljno sredstava na kartici",
+  capture_failed: "Naplata nije uspjela",
+};
+
+const failureMessage = (reason) =>
+  FAILURE_MESSAGES[reason] || "Plaćanje nije uspjelo";
+
+/**
+ * Find the card to charge: the given saved payment method or the user's
+ * default one. Throws PaymentError when there is none.
+ */
+export const resolvePaymentMethod = async (userId, paymentMethodId = null) => {
+  if (paymentMethodId && !String(paymentMethodId).match(/^[0-9a-fA-F]{24}$/)) {
+    throw new PaymentError("Nevaljan ID načina plaćanja", 400);
+  }
+
+  const query = paymentMethodId
+    ? { _id: paymentMethodId, userId }
+    : { userId, isDefault: true };
+
+  const method = await PaymentMethod.findOne(query).select("+token");
+  if (!method) {
+    throw new PaymentError(
+      paymentMethodId
+        ? "Način plaćanja nije pronađen"
+        : "Dodajte karticu prije kupnje",
+      400
+    );
+  }
+
+  return method;
+};
+
+/**
+ * Authorize the order total on a saved card.
+ * Resolves to the Payment (status "authorized" or "failed").
+ */
+export const authorizePayment = async (order, paymentMethod) => {
+  const provider = getPaymentProvider();
+
+  const payment = await Payment.create({
+    orderId: order._id,
+    userId: order.buyerId,
+    paymentMethodId: paymentMethod._id,
+    provider: provider.name,
+    amount: order.totalAmount,
+    currency: order.currency,
+  });
+
+  const result = await provider.authorize({
+    amount: order.totalAmount,
+    currency: order.currency,
+    token: paymentMethod.token,
+    reference: order.orderNumber,
+  });
+
+  payment.providerPaymentId = result.id || null;
+  if (result.status === "authorized") {
+    payment.authorizedAt = new Date();
+    payment.recordEvent("authorize", { status: "authorized" });
+  } else {
+    payment.failureReason = result.failureReason || "authorization_failed";
+    payment.recordEvent("authorize", {
+      status: "failed",
+      note: payment.failureReason,
+    });
+  }
+
+  await payment.save();
+  return payment;
+};
+
+/**
+ * Capture an authorized payment. Resolves to the Payment: "captured", or
+ * still "authorized" with a failureReason when the capture failed, so the
+ * hold can be released with refundPayment.
+ */
+export const capturePayment = async (payment) => {
+  if (payment.status !== "authorized") {
+    throw new PaymentError(
+      `Plaćanje u statusu "${payment.status}" ne može se naplatiti`,
+      409
+    );
+  }
+
+  const provider = getProviderByName(payment.provider);
+  const result = await provider.capture(
+    payment.providerPaymentId,
+    payment.amount
+  );
+
+  if (result.status === "captured") {
+    payment.capturedAt = new Date();
+    payment.recordEvent("capture", { status: "captured" });
+  } else {
+    payment.failureReason = result.failureReason || "capture_failed";
+    payment.recordEvent("capture", { note: payment.failureReason });
+  }
+
+  await payment.save();
+  return payment;
+};
+
+/**
+ * Give the money back: refunds a captured payment or releases the hold of
+ * an authorized one. Other payments are returned unchanged.
+ */
+export const refundPayment = async (payment, note = null) => {
+  if (!["authorized", "captured"].includes(payment.status)) {
+    return payment;
+  }
+
+  const provider = getProviderByName(payment.provider);
+  const result = await provider.refund(
+    payment.providerPaymentId,
+    payment.amount
+  );
+
+  if (result.status !== "refunded") {
+    throw new PaymentError(
+      "Povrat novca nije uspio",
+      502,
+      result.failureReason || "refund_failed"
+    );
+  }
+
+  const status = payment.status === "captured" ? "refunded" : "voided";
+  payment.refundedAt = new Date();
+  payment.recordEvent("refund", { status, note });
+  await payment.save();
+  return payment;
+};
+
+/**
+ * Charge a pending order: authorize, then capture. The order becomes
+ * "paid" only after a successful capture, and only if it is still pending;
+ * a payment for an order cancelled in the meantime is refunded. On failure
+ * the authorization is released and a PaymentError is thrown; the caller
+ * gives the stock back.
+ * Resolves to { payment, order } with the paid order.
+ */
+export const payForOrder = async (order, paymentMethod) => {
+  const payment = await authorizePayment(order, paymentMethod);
+  order.paymentId = payment._id;
+
+  if (payment.status !== "authorized") {
+    await order.save();
+    throw new PaymentError(
+      failureMessage(payment.failureReason),
+      402,
+      payment.failureReason
+    );
+  }
+
+  await capturePayment(payment);
+
+  if (payment.status !== "captured") {
+    await refundPayment(payment, "capture failed"); // Release the hold
+    await order.save();
+    throw new PaymentError(
+      failureMessage(payment.failureReason),
+      402,
+      payment.failureReason
+    );
+  }
+
+  await order.save();
+  const paid = await order.transitionTo(
+    "paid",
+    order.buyerId,
+    "Plaćanje naplaćeno"
+  );
+  if (paid) return { payment, order: paid };
+
+  // A payment.captured webhook may have marked it paid already
+  const current = await Order.findById(order._id);
+  if (current && current.status === "paid") {
+    return { payment, order: current };
+  }
+
+  // Cancelled (and restocked) while the card was charged
+  await refundPayment(payment, "order cancelled during payment");
+  throw new PaymentError(
+    "Narudžba je otkazana tijekom plaćanja, novac je vraćen",
+    409,
+    "order_cancelled"
+  );
+};
+
+/**
+ * Apply a verified webhook event from a provider to the payment and its
+ * order. Repeated events are ignored.
+ * Resolves to { handled, payment }.
+ */
+export const handleWebhookEvent = async (providerName, event) => {
+  const payment = await Payment.findOne({
+    provider: providerName,
+    providerPaymentId: event.paymentId,
+  });
+
+  if (!payment) return { handled: false, payment: null };
+  if (payment.hasEvent(event.id)) return { handled: true, payment };
+
+  const order = await Order.findById(payment.orderId);
+  const eventInfo = { eventId: event.id, note: event.reason || null };
+
+  switch (event.type) {
+    case "payment.captured":
+      payment.capturedAt = payment.capturedAt || new Date();
+      payment.recordEvent(event.type, { ...eventInfo, status: "captured" });
+      if (order) {
+        await order.transitionTo("paid", null, "Plaćanje potvrđeno (webhook)");
+      }
+      break;
+
+    case "payment.failed":
+      payment.failureReason = event.reason || "payment_failed";
+      payment.recordEvent(event.type, { ...eventInfo, status: "failed" });
+      if (order && order.status === "pending") {
+        const cancelled = await order.cancel(
+          null,
+          failureMessage(event.reason)
+        );
+        if (cancelled) await cancelled.restockItems();
+      }
+      break;
+
+    case "payment.refunded":
+      payment.refundedAt = payment.refundedAt || new Date();
+      payment.recordEvent(event.type, { ...eventInfo, status: "refunded" });
+      if (order) {
+        const cancelled = await order.cancel(null, "Novac vraćen (webhook)");
+        if (cancelled) await cancelled.restockItems();
+      }
+      break;
+
+    default:
+      payment.recordEvent(event.type, eventInfo);
+  }
+
+  await payment.save();
+  return { handled: true, payment };
+};
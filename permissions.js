@@ -0,0 +1,42 @@
+/**
+ * Roles and what they may do. Admins have every permission; the other
+ * staff roles get a subset. Regular users have no staff permissions, they
+ * only manage their own resources.
+ */
+export const ROLES = ["user", "support", "moderator", "admin"];
+
+export const PERMISSIONS = {
+  "users:read": "View user accounts",
+  "users:manage": "Delete user accounts",
+  "roles:manage": "Grant and revoke roles",
+  "products:moderate": "Hide, edit and delete any listing",
+  "auctions:cancel": "Cancel running auctions",
+  "orders:read": "View all orders and order statistics",
+  "orders:manage": "Change the status of any order",
+  "payments:manage": "Simulate payment provider events",
+  "jobs:manage": "Inspect and run background jobs",
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: ["users:read", "orders:read"],
+  moderator: ["users:read", "products:moderate", "auctions:cancel"],
+  admin: Object.keys(PERMISSIONS),
+};
+
+/**
+ * Permissions granted to a role (empty for unknown roles).
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a role has a permission.
+ */
+export const hasPermission = (role, permission) =>
+  getRolePermissions(role).includes(permission);
+
+/**
+ * Roles with their permissions, e.g. for an admin UI.
+ */
+export const getPermissionMatrix = () =>
+  ROLES.map((role) => ({ role, permissions: getRolePermissions(role) }));
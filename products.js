@@ -1,9 +1,96 @@
 import express from "express";
-import Product from "./models/Product.js";
-import { authenticateToken, isAdmin } from "./middlewares.js";
+import Product, { BiddingError, MAX_PRODUCT_IMAGES } from "./models/Product.js";
+import {
+  checkoutItems,
+  checkoutBuyItNow,
+  getPurchaseError,
+  CheckoutError,
+} from "./checkout.js";
+import { PaymentError } from "./payments/paymentService.js";
+import { toProductRenditions, getPrimaryImageUrl } from "./imageProcessing.js";
+import { linkProductImages, deleteProductImages } from "./imageCleanup.js";
+import { publishAuctionEvent } from "./realtime.js";
+import { processExpiredBiddings } from "./scheduler.js";
+import {
+  dispatchNotification,
+  notifyAuctionWon,
+  notifyOutbid,
+  notifyProductRemoved,
+  notifyProductHidden,
+  notifyAuctionCancelled,
+  notifyOrderPlaced,
+} from "./notificationService.js";
+import {
+  authenticateToken,
+  getTokenSubject,
+  requireOwnerOrAdmin,
+  requireAdminOrServiceToken,
+  requirePermission,
+  requireVerifiedEmail,
+} from "./auth.js";
 
 const router = express.Router();
 
+// Reject malformed product IDs before the product is loaded
+const validateProductId = (req, res, next) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      message: "Nevaljan ID proizvoda",
+    });
+  }
+  next();
+};
+
+// Only the seller or an admin may manage a product (sets req.resource)
+const requireProductOwner = requireOwnerOrAdmin(
+  (req) => Product.findById(req.params.id),
+  {
+    notFoundMessage: "Proizvod nije pronađen",
+    forbiddenMessage: "Nemate dozvolu za upravljanje ovim proizvodom",
+  }
+);
+
+// Photo from a request: an uploaded rendition map and/or a pasted URL.
+// Returns null when there is no usable URL.
+const parseProductImage = (input) => {
+  if (!input || typeof input !== "object") return null;
+
+  const renditions = toProductRenditions(input.renditions);
+  const url =
+    (typeof input.url === "string" && input.url.trim()) ||
+    getPrimaryImageUrl(renditions);
+  if (!url) return null;
+
+  return {
+    url,
+    renditions: renditions || undefined,
+    alt: typeof input.alt === "string" ? input.alt.trim() : "",
+    isCover: Boolean(input.isCover),
+  };
+};
+
+// The seller or a moderator may edit or delete a listing (sets req.resource)
+const requireProductOwnerOrModerator = requireOwnerOrAdmin(
+  (req) => Product.findById(req.params.id),
+  {
+    permission: "products:moderate",
+    notFoundMessage: "Proizvod nije pronađen",
+    forbiddenMessage: "Nemate dozvolu za upravljanje ovim proizvodom",
+  }
+);
+
+// The seller, an admin or the auction winner may reserve a product
+const requireProductOwnerOrWinner = requireOwnerOrAdmin(
+  (req) => Product.findById(req.params.id),
+  {
+    allowIf: (req, product) =>
+      Boolean(product.bestBidder) &&
+      product.isBestBidder(req.user.id, req.user.email),
+    notFoundMessage: "Proizvod nije pronađen",
+    forbiddenMessage: "Nemate dozvolu za upravljanje ovim proizvodom",
+  }
+);
+
 // Get all products with advanced filtering
 router.get("/", async (req, res) => {
   try {
@@ -21,7 +108,11 @@ router.get("/", async (req, res) => {
       limit = 20,
     } = req.query;
 
-    let query = {};
+    // Hidden listings are only shown to their seller
+    let query =
+      userId && userId === getTokenSubject(req)
+        ? {}
+        : { isHidden: { $ne: true } };
     let sort = {};
 
     // Search functionality
@@ -167,13 +258,15 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Create new product
-router.post("/", async (req, res) => {
+// Create new product - the seller is the authenticated user
+router.post("/", authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     const {
       name,
       category,
       image,
+      renditions,
+      images,
       currentPrice,
       originalPrice,
       color,
@@ -182,21 +275,38 @@ router.post("/", async (req, res) => {
       isBidding,
       biddingEndTime,
       minimumBidIncrement,
-      userId,
-      userEmail,
+      softCloseWindowMinutes,
+      softCloseExtensionMinutes,
+      maxExtensions,
+      reservePrice,
+      buyItNowPrice,
     } = req.body;
+    const userId = req.user.id;
+    const userEmail = req.user.email;
+
+    // A gallery (`images`) or, from older clients, a single image given as
+    // a URL and/or an uploaded rendition map
+    const productImages = Array.isArray(images)
+      ? images.map(parseProductImage)
+      : [parseProductImage({ url: image, renditions })].filter(Boolean);
 
     // Enhanced validation
     const validationErrors = [];
 
     if (!name?.trim()) validationErrors.push("Naziv proizvoda je obavezan");
     if (!category) validationErrors.push("Kategorija je obavezna");
-    if (!image?.trim()) validationErrors.push("Slika je obavezna");
+    if (productImages.length === 0) {
+      validationErrors.push("Slika je obavezna");
+    } else if (productImages.includes(null)) {
+      validationErrors.push("Svaka slika mora imati valjan URL");
+    } else if (productImages.length > MAX_PRODUCT_IMAGES) {
+      validationErrors.push(
+        `Proizvod može imati najviše ${MAX_PRODUCT_IMAGES} slika`
+      );
+    }
     if (!currentPrice || currentPrice <= 0)
       validationErrors.push("Cijena mora biti veća od 0");
     if (!description?.trim()) validationErrors.push("Opis je obavezan");
-    if (!userId) validationErrors.push("ID korisnika je obavezan");
-    if (!userEmail) validationErrors.push("Email korisnika je obavezan");
 
     if (description && description.length < 10) {
       validationErrors.push("Opis mora imati najmanje 10 znakova");
@@ -232,6 +342,56 @@ router.post("/", async (req, res) => {
           "Minimalni povećaj ponude mora biti između 0.01€ i 1000€"
         );
       }
+
+      if (reservePrice && Number(reservePrice) < Number(currentPrice)) {
+        validationErrors.push(
+          "Minimalna prodajna cijena ne može biti manja od početne cijene"
+        );
+      }
+
+      if (buyItNowPrice) {
+        if (Number(buyItNowPrice) <= Number(currentPrice)) {
+          validationErrors.push(
+            "Cijena Kupi odmah mora biti veća od početne cijene"
+          );
+        } else if (
+          reservePrice &&
+          Number(buyItNowPrice) < Number(reservePrice)
+        ) {
+          validationErrors.push(
+            "Cijena Kupi odmah ne može biti manja od minimalne prodajne cijene"
+          );
+        }
+      }
+
+      if (
+        softCloseWindowMinutes !== undefined &&
+        (softCloseWindowMinutes < 0 || softCloseWindowMinutes > 60)
+      ) {
+        validationErrors.push(
+          "Prozor za produljenje licitacije mora biti između 0 i 60 minuta"
+        );
+      }
+
+      if (
+        softCloseExtensionMinutes !== undefined &&
+        (softCloseExtensionMinutes < 1 || softCloseExtensionMinutes > 60)
+      ) {
+        validationErrors.push(
+          "Produljenje licitacije mora biti između 1 i 60 minuta"
+        );
+      }
+
+      if (
+        maxExtensions !== undefined &&
+        (maxExtensions < 0 ||
+          maxExtensions > 100 ||
+          !Number.isInteger(Number(maxExtensions)))
+      ) {
+        validationErrors.push(
+          "Najveći broj produljenja mora biti cijeli broj između 0 i 100"
+        );
+      }
     }
 
     if (validationErrors.length > 0) {
@@ -245,7 +405,7 @@ router.post("/", async (req, res) => {
     const productData = {
       name: name.trim(),
       category,
-      image: image.trim(),
+      images: productImages,
       currentPrice: Number(currentPrice),
       originalPrice: originalPrice
         ? Number(originalPrice)
@@ -266,16 +426,40 @@ router.post("/", async (req, res) => {
         : 1.0;
       productData.biddingStatus = "active";
       productData.bidHistory = [];
+
+      // Anti-sniping settings (soft close)
+      if (softCloseWindowMinutes !== undefined) {
+        productData.softCloseWindowMinutes = Number(softCloseWindowMinutes);
+      }
+      if (softCloseExtensionMinutes !== undefined) {
+        productData.softCloseExtensionMinutes = Number(
+          softCloseExtensionMinutes
+        );
+      }
+      if (maxExtensions !== undefined) {
+        productData.maxExtensions = Number(maxExtensions);
+      }
+
+      // Hidden reserve and optional Buy-It-Now price
+      if (reservePrice) {
+        productData.reservePrice = Number(reservePrice);
+        productData.reserveMet = false;
+      }
+      if (buyItNowPrice) {
+        productData.buyItNowPrice = Number(buyItNowPrice);
+      }
     }
 
     // Create new product
     const newProduct = new Product(productData);
+    newProduct.syncCoverImage();
 
     // Debug logging
     console.log("🐛 About to save product:");
     console.log("   Product data:", JSON.stringify(productData, null, 2));
 
     const savedProduct = await newProduct.save();
+    await linkProductImages(savedProduct);
 
     console.log("✅ Product saved successfully:");
     console.log(
@@ -322,7 +506,10 @@ router.get("/:id", async (req, res) => {
 
     const product = await Product.findById(id);
 
-    if (!product) {
+    if (
+      !product ||
+      (product.isHidden && product.userId !== getTokenSubject(req))
+    ) {
       return res.status(404).json({
         message: "Proizvod nije pronađen",
       });
@@ -338,190 +525,307 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// Place bid on product
-router.post("/:id/bid", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { bidAmount, bidder, bidderEmail } = req.body;
-
-    // Enhanced validation
-    const validationErrors = [];
-
-    if (!bidAmount || bidAmount <= 0) {
-      validationErrors.push("Ponuda mora biti veća od 0");
-    }
-    if (!bidder?.trim()) {
-      validationErrors.push("Ime licitanta je obavezno");
-    }
-    if (!bidderEmail?.trim()) {
-      validationErrors.push("Email licitanta je obavezan");
-    }
-    if (bidderEmail && !/^\S+@\S+\.\S+$/.test(bidderEmail)) {
-      validationErrors.push("Email licitanta nije valjan");
-    }
+// Place bid on product - the bidder is the authenticated user
+router.post(
+  "/:id/bid",
+  authenticateToken,
+  requireVerifiedEmail,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { bidAmount, maxBidAmount } = req.body;
+      const isProxyBid =
+        maxBidAmount !== undefined &&
+        maxBidAmount !== null &&
+        maxBidAmount !== "";
+
+      const hasAmount =
+        bidAmount !== undefined && bidAmount !== null && bidAmount !== "";
+      const amount = hasAmount ? Number(bidAmount) : undefined;
+      const maxAmount = isProxyBid ? Number(maxBidAmount) : undefined;
+      const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+      // Enhanced validation
+      const validationErrors = [];
+
+      if (isProxyBid) {
+        if (!isPositive(maxAmount)) {
+          validationErrors.push("Maksimalna ponuda mora biti veća od 0");
+        }
+        if (hasAmount && !isPositive(amount)) {
+          validationErrors.push("Ponuda mora biti veća od 0");
+        }
+      } else if (!isPositive(amount)) {
+        validationErrors.push("Ponuda mora biti veća od 0");
+      }
 
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        message: "Nevaljan ID proizvoda",
-      });
-    }
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          message: "Nevaljan ID proizvoda",
+        });
+      }
 
-    if (validationErrors.length > 0) {
-      return res.status(400).json({
-        message: "Greške u validaciji",
-        errors: validationErrors,
-      });
-    }
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          message: "Greške u validaciji",
+          errors: validationErrors,
+        });
+      }
 
-    const product = await Product.findById(id);
+      const user = req.user;
+      const product = await Product.findById(id);
 
-    if (!product) {
-      return res.status(404).json({
-        message: "Proizvod nije pronađen",
-      });
-    }
+      if (!product) {
+        return res.status(404).json({
+          message: "Proizvod nije pronađen",
+        });
+      }
 
-    // Check if user is trying to bid on their own product
-    if (product.userEmail === bidderEmail) {
-      return res.status(400).json({
-        message: "Ne možete licitirati na vlastiti proizvod",
-      });
-    }
+      // Check if user is trying to bid on their own product
+      if (
+        String(product.userId) === String(user._id) ||
+        product.userEmail === user.email
+      ) {
+        return res.status(400).json({
+          message: "Ne možete licitirati na vlastiti proizvod",
+        });
+      }
 
-    if (!product.canBid()) {
-      const timeRemaining = product.timeRemaining;
-      if (timeRemaining && timeRemaining.expired) {
+      if (!product.canBid()) {
+        const timeRemaining = product.timeRemaining;
+        if (timeRemaining && timeRemaining.expired) {
+          return res.status(400).json({
+            message: "Licitacija je završena",
+          });
+        }
         return res.status(400).json({
-          message: "Licitacija je završena",
+          message: "Ovaj proizvod nije dostupan za licitaciju",
         });
       }
-      return res.status(400).json({
-        message: "Ovaj proizvod nije dostupan za licitaciju",
-      });
-    }
 
-    // Use the model's placeBid method for validation and bid placement
-    try {
-      product.placeBid(bidder.trim(), bidderEmail.trim(), Number(bidAmount));
-      await product.save();
+      // Plan and write the bid atomically, including automatic proxy bids
+      let result;
+      try {
+        result = await Product.submitBid(id, {
+          bidderId: user._id,
+          bidder: user.username,
+          bidderEmail: user.email,
+          amount,
+          maxAmount,
+        });
+      } catch (bidError) {
+        if (bidError instanceof BiddingError) {
+          return res.status(bidError.status).json({
+            message: bidError.message,
+            ...bidError.details,
+          });
+        }
+        throw bidError;
+      }
 
-      // Return updated product with bidding information
-      const updatedProduct = await Product.findById(id);
+      const {
+        product: updatedProduct,
+        outbid,
+        extended,
+        previousLeader,
+      } = result;
+
+      // Push the update to subscribed clients
+      publishAuctionEvent("bid", updatedProduct);
+      if (outbid) {
+        publishAuctionEvent("outbid", updatedProduct, {
+          outbidBidder: user.username,
+        });
+      } else if (
+        previousLeader &&
+        !updatedProduct.isBestBidder(
+          previousLeader.bidderId,
+          previousLeader.bidderEmail
+        )
+      ) {
+        publishAuctionEvent("outbid", updatedProduct, {
+          outbidBidder: previousLeader.bidder,
+        });
+        dispatchNotification(
+          notifyOutbid(updatedProduct, previousLeader),
+          "outbid"
+        );
+      }
+      if (extended) {
+        publishAuctionEvent("extended", updatedProduct);
+      }
 
       res.json({
-        message: "Ponuda je uspješno stavljena",
+        message: outbid
+          ? "Vaša ponuda je odmah nadmašena automatskom ponudom"
+          : "Ponuda je uspješno stavljena",
+        outbid,
         product: updatedProduct,
         bidInfo: {
           newHighestBid: updatedProduct.currentPrice,
           bidder: updatedProduct.bestBidder,
           bidCount: updatedProduct.bidCount,
           timeRemaining: updatedProduct.timeRemaining,
+          biddingEndTime: updatedProduct.biddingEndTime,
+          extended,
+          extensionCount: updatedProduct.extensionCount,
+          yourMaximum: isProxyBid ? Number(maxBidAmount) : undefined,
         },
       });
-    } catch (bidError) {
-      return res.status(400).json({
-        message: bidError.message,
+    } catch (error) {
+      console.error("Error placing bid:", error);
+      res.status(500).json({
+        message: "Greška pri stavljanju ponude",
+        error: error.message,
       });
     }
-  } catch (error) {
-    console.error("Error placing bid:", error);
-    console.error("Error placing bid:", error);
-    res.status(500).json({
-      message: "Greška pri stavljanju ponude",
-      error: error.message,
-    });
   }
-});
-
-// Update product - only admins and product owners can edit
-router.put("/:id", authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateData = req.body;
+);
+
+// Update product - only the owner, moderators and admins can edit
+router.put(
+  "/:id",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrModerator,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+      const existingProduct = req.resource;
+
+      // Remove fields that shouldn't be updated directly
+      delete updateData._id;
+      delete updateData.createdAt;
+      delete updateData.bestBidder; // Should only be updated through bidding
+      delete updateData.bestBidderId;
+      delete updateData.userId; // Don't allow changing product owner
+      delete updateData.userEmail; // Don't allow changing product owner email
+      delete updateData.bestBidderEmail;
+      delete updateData.bidHistory;
+      delete updateData.proxyBids; // Hidden proxy maximums are never editable
+      delete updateData.bidVersion;
+      delete updateData.extensionCount;
+      delete updateData.reserveMet;
+      delete updateData.reserveNotMet;
+      delete updateData.soldViaBuyItNow;
+      delete updateData.isHidden; // Changed only through moderation
+      delete updateData.hiddenAt;
+      delete updateData.hiddenBy;
+      delete updateData.hiddenReason;
+
+      // If product has active bidding, restrict some updates
+      if (
+        existingProduct.isBidding &&
+        existingProduct.biddingStatus === "active" &&
+        existingProduct.bidHistory &&
+        existingProduct.bidHistory.length > 0
+      ) {
+        // Don't allow changing price, bidding settings if there are already bids
+        delete updateData.currentPrice;
+        delete updateData.originalPrice;
+        delete updateData.minimumBidIncrement;
+        delete updateData.biddingDurationDays;
+        delete updateData.biddingEndTime;
+        delete updateData.isBidding;
+        delete updateData.softCloseWindowMinutes;
+        delete updateData.softCloseExtensionMinutes;
+        delete updateData.maxExtensions;
+        delete updateData.reservePrice;
+        delete updateData.buyItNowPrice;
+      }
 
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        message: "Nevaljan ID proizvoda",
-      });
-    }
+      // The gallery is managed through /:id/images; a single image sent by
+      // older clients replaces the cover
+      delete updateData.images;
+      if (
+        updateData.image !== undefined ||
+        updateData.renditions !== undefined
+      ) {
+        const cover = parseProductImage({
+          url: updateData.image,
+          renditions: updateData.renditions,
+        });
+        const renditionsSent = updateData.renditions !== undefined;
+        delete updateData.image;
+        delete updateData.renditions;
+
+        if (!cover) {
+          return res.status(400).json({
+            message: "Slika mora imati valjan URL",
+          });
+        }
 
-    // First, get the existing product to check ownership
-    const existingProduct = await Product.findById(id);
-    if (!existingProduct) {
-      return res.status(404).json({
-        message: "Proizvod nije pronađen",
-      });
-    }
+        if (cover.url !== existingProduct.image || renditionsSent) {
+          const gallery = existingProduct.images.map((item) => item.toObject());
+          const coverIndex = Math.max(
+            0,
+            gallery.findIndex((item) => item.isCover)
+          );
+          gallery[coverIndex] = {
+            ...gallery[coverIndex],
+            url: cover.url,
+            renditions: cover.renditions,
+            isCover: true,
+          };
+
+          updateData.images = gallery;
+          updateData.image = cover.url;
+          updateData.renditions = cover.renditions || null;
+        }
+      }
 
-    // Check if user is admin or product owner
-    const isAdmin = req.user.role === "admin";
-    const isOwner =
-      existingProduct.userId === req.user.id ||
-      existingProduct.userEmail === req.user.email;
+      // Keep the public reserve flag in sync with a changed reserve price
+      if (updateData.reservePrice !== undefined) {
+        const reservePrice = updateData.reservePrice
+          ? Number(updateData.reservePrice)
+          : null;
+        updateData.reservePrice = reservePrice;
+        updateData.reserveMet =
+          !reservePrice ||
+          Number(updateData.currentPrice ?? existingProduct.currentPrice) >=
+            reservePrice;
+      }
 
-    if (!isAdmin && !isOwner) {
-      return res.status(403).json({
-        message: "Nemate dozvolu za uređivanje ovog proizvoda",
+      const product = await Product.findByIdAndUpdate(id, updateData, {
+        new: true,
+        runValidators: true,
       });
-    }
 
-    // Remove fields that shouldn't be updated directly
-    delete updateData._id;
-    delete updateData.createdAt;
-    delete updateData.bestBidder; // Should only be updated through bidding
-    delete updateData.userId; // Don't allow changing product owner
-    delete updateData.userEmail; // Don't allow changing product owner email
-
-    // If product has active bidding, restrict some updates
-    if (
-      existingProduct.isBidding &&
-      existingProduct.biddingStatus === "active" &&
-      existingProduct.bidHistory &&
-      existingProduct.bidHistory.length > 0
-    ) {
-      // Don't allow changing price, bidding settings if there are already bids
-      delete updateData.currentPrice;
-      delete updateData.originalPrice;
-      delete updateData.minimumBidIncrement;
-      delete updateData.biddingDurationDays;
-      delete updateData.biddingEndTime;
-      delete updateData.isBidding;
-    }
+      if (!product) {
+        return res.status(404).json({
+          message: "Proizvod nije pronađen",
+        });
+      }
 
-    const product = await Product.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    });
+      if (updateData.images) {
+        await linkProductImages(product);
+      }
 
-    if (!product) {
-      return res.status(404).json({
-        message: "Proizvod nije pronađen",
+      res.json({
+        message: "Proizvod je uspješno ažuriran",
+        product: product,
       });
-    }
+    } catch (error) {
+      console.error("Error updating product:", error);
 
-    res.json({
-      message: "Proizvod je uspješno ažuriran",
-      product: product,
-    });
-  } catch (error) {
-    console.error("Error updating product:", error);
+      if (error.name === "ValidationError") {
+        const validationErrors = Object.values(error.errors).map(
+          (err) => err.message
+        );
+        return res.status(400).json({
+          message: "Greške u validaciji",
+          errors: validationErrors,
+        });
+      }
 
-    if (error.name === "ValidationError") {
-      const validationErrors = Object.values(error.errors).map(
-        (err) => err.message
-      );
-      return res.status(400).json({
-        message: "Greške u validaciji",
-        errors: validationErrors,
+      res.status(500).json({
+        message: "Greška pri ažuriranju proizvoda",
+        error: error.message,
       });
     }
-
-    res.status(500).json({
-      message: "Greška pri ažuriranju proizvoda",
-      error: error.message,
-    });
   }
-});
+);
 
 // Get bid history for a product
 router.get("/:id/bids", async (req, res) => {
@@ -536,7 +840,10 @@ router.get("/:id/bids", async (req, res) => {
 
     const product = await Product.findById(id);
 
-    if (!product) {
+    if (
+      !product ||
+      (product.isHidden && product.userId !== getTokenSubject(req))
+    ) {
       return res.status(404).json({
         message: "Proizvod nije pronađen",
       });
@@ -550,9 +857,15 @@ router.get("/:id/bids", async (req, res) => {
       bestBidder: product.bestBidder,
       bidCount: product.bidCount,
       timeRemaining: product.timeRemaining,
-      bidHistory: product.bidHistory.sort(
-        (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
-      ),
+      // Public history: no bidder emails or account ids
+      bidHistory: product.bidHistory
+        .map((bid) => ({
+          bidder: bid.bidder,
+          amount: bid.amount,
+          timestamp: bid.timestamp,
+          isAutoBid: bid.isAutoBid,
+        }))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
       biddingEndTime: product.biddingEndTime,
     });
   } catch (error) {
@@ -594,18 +907,13 @@ router.get("/bidding/active", async (req, res) => {
   }
 });
 
-// Get products reserved for a specific user (won biddings)
-router.get("/reserved/:userEmail", async (req, res) => {
+// Get products reserved for the authenticated user (won biddings)
+router.get("/reserved/me", authenticateToken, async (req, res) => {
   try {
-    const { userEmail } = req.params;
-
-    if (!userEmail || !/^\S+@\S+\.\S+$/.test(userEmail)) {
-      return res.status(400).json({
-        message: "Valjan email je obavezan",
-      });
-    }
-
-    const reservedProducts = await Product.findReservedForUser(userEmail);
+    const reservedProducts = await Product.findReservedForUser(
+      req.user._id,
+      req.user.email
+    );
 
     res.json({
       count: reservedProducts.length,
@@ -635,128 +943,120 @@ router.get("/reserved/:userEmail", async (req, res) => {
 });
 
 // Mark winner as notified
-router.post("/:id/notify-winner", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        message: "Nevaljan ID proizvoda",
-      });
-    }
-
-    const product = await Product.findById(id);
-
-    if (!product) {
-      return res.status(404).json({
-        message: "Proizvod nije pronađen",
-      });
-    }
-
-    if (!product.isBiddingEnded() || !product.bestBidder) {
-      return res.status(400).json({
-        message: "Licitacija nije završena ili nema pobjednika",
-      });
-    }
-
-    product.winnerNotified = true;
-    await product.save();
-
-    res.json({
-      message: "Pobjednik je obaviješten",
-      winner: product.getWinner(),
-    });
-  } catch (error) {
-    console.error("Error notifying winner:", error);
-    res.status(500).json({
-      message: "Greška pri obavještavanju pobjednika",
-      error: error.message,
-    });
-  }
-});
-
-// Reserve product for winner (move to cart)
-router.post("/:id/reserve", async (req, res) => {
-  try {
-    const { id } = req.params;
+router.post(
+  "/:id/notify-winner",
+  authenticateToken,
+  validateProductId,
+  requireProductOwner,
+  async (req, res) => {
+    try {
+      const product = req.resource;
 
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        message: "Nevaljan ID proizvoda",
-      });
-    }
+      if (!product.isBiddingEnded() || !product.bestBidder) {
+        return res.status(400).json({
+          message: "Licitacija nije završena ili nema pobjednika",
+        });
+      }
 
-    const product = await Product.findById(id);
+      const log = await notifyAuctionWon(product);
 
-    if (!product) {
-      return res.status(404).json({
-        message: "Proizvod nije pronađen",
-      });
-    }
+      if (log.status !== "sent") {
+        return res.status(502).json({
+          message: "Slanje obavijesti pobjedniku nije uspjelo",
+          error: log.lastError,
+        });
+      }
 
-    try {
-      product.reserveForWinner();
-      await product.save();
+      product.winnerNotified = true;
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { winnerNotified: true } }
+      );
 
       res.json({
-        message: "Proizvod je rezerviran za pobjednika",
-        product: {
-          id: product._id,
-          name: product.name,
-          winner: product.bestBidder,
-          winnerEmail: product.bestBidderEmail,
-          finalPrice: product.currentPrice,
-        },
+        message: "Pobjednik je obaviješten",
+        winner: product.getWinner(),
       });
-    } catch (reserveError) {
-      return res.status(400).json({
-        message: reserveError.message,
+    } catch (error) {
+      console.error("Error notifying winner:", error);
+      res.status(500).json({
+        message: "Greška pri obavještavanju pobjednika",
+        error: error.message,
       });
     }
-  } catch (error) {
-    console.error("Error reserving product:", error);
-    res.status(500).json({
-      message: "Greška pri rezervaciji proizvoda",
-      error: error.message,
-    });
   }
-});
+);
 
-// Process ended biddings (utility endpoint for cron jobs)
-router.post("/bidding/process-ended", async (req, res) => {
-  try {
-    const endedBiddings = await Product.findEndedBiddings();
-    const processed = [];
+// Reserve product for winner (move to cart)
+router.post(
+  "/:id/reserve",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrWinner,
+  async (req, res) => {
+    try {
+      const product = req.resource;
 
-    for (const product of endedBiddings) {
-      if (product.bestBidder) {
+      try {
         product.reserveForWinner();
         await product.save();
-        processed.push({
-          productId: product._id,
-          productName: product.name,
+        publishAuctionEvent("reserved", product, {
           winner: product.bestBidder,
-          winnerEmail: product.bestBidderEmail,
-          winningBid: product.currentPrice,
         });
-      } else {
-        product.biddingStatus = "ended";
-        await product.save();
+
+        res.json({
+          message: "Proizvod je rezerviran za pobjednika",
+          product: {
+            id: product._id,
+            name: product.name,
+            winner: product.bestBidder,
+            winnerEmail: product.bestBidderEmail,
+            finalPrice: product.currentPrice,
+          },
+        });
+      } catch (reserveError) {
+        return res.status(400).json({
+          message: reserveError.message,
+        });
       }
+    } catch (error) {
+      console.error("Error reserving product:", error);
+      res.status(500).json({
+        message: "Greška pri rezervaciji proizvoda",
+        error: error.message,
+      });
     }
+  }
+);
+
+// Process ended biddings now (the server also does this automatically).
+// Admins or internal services with the X-Service-Token header only.
+router.post(
+  "/bidding/process-ended",
+  requireAdminOrServiceToken,
+  async (req, res) => {
+    try {
+      const result = await processExpiredBiddings();
 
-    res.json({
-      message: `Processed ${processed.length} ended biddings`,
-      processedBiddings: processed,
-    });
-  } catch (error) {
-    console.error("Error processing ended biddings:", error);
-    res.status(500).json({
-      message: "Greška pri obradi završenih licitacija",
-      error: error.message,
-    });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      res.json({
+        message: `Processed ${result.processed} ended biddings`,
+        processedBiddings: result.processedBiddings,
+        skippedBiddings: result.skippedBiddings,
+        failedBiddings: result.failedBiddings,
+      });
+    } catch (error) {
+      console.error("Error processing ended biddings:", error);
+      res.status(500).json({
+        message: "Greška pri obradi završenih licitacija",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get product categories (utility endpoint)
 router.get("/util/categories", async (req, res) => {
@@ -789,45 +1089,411 @@ router.get("/util/categories", async (req, res) => {
 });
 
 // Update the delete route to check for active biddings
-router.delete("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+router.delete(
+  "/:id",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrModerator,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const product = req.resource;
 
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        message: "Nevaljan ID proizvoda",
+      // Check if product has active bidding
+      if (product.isBiddingActive()) {
+        return res.status(400).json({
+          message: "Proizvod se ne može obrisati dok je licitacija aktivna",
+        });
+      }
+
+      await Product.findByIdAndDelete(id);
+
+      // Stored photos are removed in the background
+      deleteProductImages(product._id).catch((error) =>
+        console.error("Error deleting product images:", error)
+      );
+
+      // Let the seller know when staff removed their listing
+      if (String(product.userId) !== String(req.user.id)) {
+        dispatchNotification(
+          notifyProductRemoved(product, req.body && req.body.reason),
+          "product removed"
+        );
+      }
+
+      res.json({
+        message: "Proizvod je uspješno obrisan",
+      });
+    } catch (error) {
+      console.error("Error deleting product:", error);
+      res.status(500).json({
+        message: "Greška pri brisanju proizvoda",
+        error: error.message,
       });
     }
+  }
+);
 
-    const product = await Product.findById(id);
+// Product gallery (public; hidden listings only for their seller)
+router.get("/:id/images", validateProductId, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select(
+      "images isHidden userId"
+    );
 
-    if (!product) {
+    if (
+      !product ||
+      (product.isHidden && product.userId !== getTokenSubject(req))
+    ) {
       return res.status(404).json({
         message: "Proizvod nije pronađen",
       });
     }
 
-    // Check if product has active bidding
-    if (product.isBiddingActive()) {
-      return res.status(400).json({
-        message: "Proizvod se ne može obrisati dok je licitacija aktivna",
-      });
-    }
-
-    await Product.findByIdAndDelete(id);
-
     res.json({
-      message: "Proizvod je uspješno obrisan",
+      images: product.images,
+      cover: product.getCoverImage(),
     });
   } catch (error) {
-    console.error("Error deleting product:", error);
+    console.error("Error fetching product images:", error);
     res.status(500).json({
-      message: "Greška pri brisanju proizvoda",
+      message: "Greška pri dohvaćanju slika proizvoda",
       error: error.message,
     });
   }
 });
 
+// Add a photo to the gallery
+router.post(
+  "/:id/images",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrModerator,
+  async (req, res) => {
+    try {
+      const product = req.resource;
+      const image = parseProductImage(req.body);
+
+      if (!image) {
+        return res.status(400).json({
+          message: "Slika mora imati valjan URL",
+        });
+      }
+      if (product.images.length >= MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({
+          message: `Proizvod može imati najviše ${MAX_PRODUCT_IMAGES} slika`,
+        });
+      }
+
+      // Products from before galleries keep their photo as the first image
+      if (product.images.length === 0 && product.image) {
+        product.images.push({
+          url: product.image,
+          renditions: product.renditions,
+          isCover: true,
+        });
+      }
+
+      if (image.isCover) {
+        product.images.forEach((item) => {
+          item.isCover = false;
+        });
+      }
+      product.images.push(image);
+      product.syncCoverImage();
+      await product.save();
+      await linkProductImages(product);
+
+      res.status(201).json({
+        message: "Slika je dodana",
+        image: product.images[product.images.length - 1],
+        images: product.images,
+      });
+    } catch (error) {
+      console.error("Error adding product image:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: "Greške u validaciji",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        message: "Greška pri dodavanju slike",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reorder the gallery: { order: [imageId, ...] } lists every image once
+router.put(
+  "/:id/images/order",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrModerator,
+  async (req, res) => {
+    try {
+      const product = req.resource;
+      const order = Array.isArray(req.body.order)
+        ? req.body.order.map(String)
+        : null;
+      const currentIds = product.images.map((image) => String(image._id));
+
+      if (
+        !order ||
+        order.length !== currentIds.length ||
+        new Set(order).size !== order.length ||
+        !order.every((id) => currentIds.includes(id))
+      ) {
+        return res.status(400).json({
+          message:
+            "Redoslijed mora sadržavati svaku sliku proizvoda točno jednom",
+        });
+      }
+
+      const byId = new Map(
+        product.images.map((image) => [String(image._id), image.toObject()])
+      );
+      product.images = order.map((id) => byId.get(id));
+      product.syncCoverImage();
+      await product.save();
+
+      res.json({
+        message: "Redoslijed slika je spremljen",
+        images: product.images,
+      });
+    } catch (error) {
+      console.error("Error reordering product images:", error);
+      res.status(500).json({
+        message: "Greška pri promjeni redoslijeda slika",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Change a photo's alt text or make it the cover
+router.patch(
+  "/:id/images/:imageId",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrModerator,
+  async (req, res) => {
+    try {
+      const product = req.resource;
+      const { alt, isCover } = req.body;
+      const image = product.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({
+          message: "Slika nije pronađena",
+        });
+      }
+      if (alt !== undefined && typeof alt !== "string") {
+        return res.status(400).json({
+          message: "Opis slike mora biti tekst",
+        });
+      }
+      if (isCover !== undefined && isCover !== true) {
+        return res.status(400).json({
+          message: "Naslovna slika se mijenja odabirom druge slike",
+        });
+      }
+
+      if (alt !== undefined) image.alt = alt;
+      if (isCover) {
+        product.images.forEach((item) => {
+          item.isCover = item === image;
+        });
+      }
+      product.syncCoverImage();
+      await product.save();
+
+      res.json({
+        message: "Slika je ažurirana",
+        image,
+        images: product.images,
+      });
+    } catch (error) {
+      console.error("Error updating product image:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: "Greške u validaciji",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        message: "Greška pri ažuriranju slike",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Remove a photo; a listing keeps at least one
+router.delete(
+  "/:id/images/:imageId",
+  authenticateToken,
+  validateProductId,
+  requireProductOwnerOrModerator,
+  async (req, res) => {
+    try {
+      const product = req.resource;
+      const image = product.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({
+          message: "Slika nije pronađena",
+        });
+      }
+      if (product.images.length <= 1) {
+        return res.status(400).json({
+          message: "Proizvod mora imati barem jednu sliku",
+        });
+      }
+
+      product.images.pull(image._id);
+      product.syncCoverImage();
+      await product.save();
+      await linkProductImages(product);
+
+      res.json({
+        message: "Slika je obrisana",
+        images: product.images,
+      });
+    } catch (error) {
+      console.error("Error deleting product image:", error);
+      res.status(500).json({
+        message: "Greška pri brisanju slike",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Hidden listings (staff with products:moderate)
+router.get(
+  "/moderation/hidden",
+  authenticateToken,
+  requirePermission("products:moderate"),
+  async (req, res) => {
+    try {
+      const products = await Product.find({ isHidden: true }).sort({
+        hiddenAt: -1,
+      });
+      res.json(products);
+    } catch (error) {
+      console.error("Error fetching hidden products:", error);
+      res.status(500).json({
+        message: "Greška pri dohvaćanju skrivenih proizvoda",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Hide or show a listing (staff with products:moderate)
+router.patch(
+  "/:id/visibility",
+  authenticateToken,
+  requirePermission("products:moderate"),
+  validateProductId,
+  async (req, res) => {
+    try {
+      const { hidden, reason } = req.body;
+
+      if (typeof hidden !== "boolean") {
+        return res.status(400).json({
+          message: "Polje hidden mora biti true ili false",
+        });
+      }
+
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          message: "Proizvod nije pronađen",
+        });
+      }
+
+      product.isHidden = hidden;
+      product.hiddenAt = hidden ? new Date() : null;
+      product.hiddenBy = hidden ? req.user._id : null;
+      product.hiddenReason = hidden ? reason || null : null;
+      await product.save();
+
+      if (hidden) {
+        dispatchNotification(
+          notifyProductHidden(product, reason),
+          "product hidden"
+        );
+      }
+
+      res.json({
+        message: hidden ? "Proizvod je skriven" : "Proizvod je ponovno vidljiv",
+        product,
+      });
+    } catch (error) {
+      console.error("Error changing product visibility:", error);
+      res.status(500).json({
+        message: "Greška pri promjeni vidljivosti proizvoda",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Cancel a running auction (staff with auctions:cancel)
+router.post(
+  "/:id/cancel-auction",
+  authenticateToken,
+  requirePermission("auctions:cancel"),
+  validateProductId,
+  async (req, res) => {
+    try {
+      const reason = req.body && req.body.reason;
+
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          message: "Proizvod nije pronađen",
+        });
+      }
+
+      const cancelled = product.isBiddingActive()
+        ? await Product.cancelAuction(product)
+        : null;
+      if (!cancelled) {
+        return res.status(400).json({
+          message: "Licitacija nije aktivna",
+        });
+      }
+
+      publishAuctionEvent("cancelled", cancelled, {
+        reason: reason || null,
+      });
+      dispatchNotification(
+        notifyAuctionCancelled(cancelled, reason),
+        "auction cancelled"
+      );
+
+      res.json({
+        message: "Licitacija je otkazana",
+        product: cancelled,
+      });
+    } catch (error) {
+      console.error("Error cancelling auction:", error);
+      res.status(500).json({
+        message: "Greška pri otkazivanju licitacije",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Utility endpoint to check bidding statuses
 router.get("/bidding/status", async (req, res) => {
   try {
@@ -871,7 +1537,7 @@ router.get("/bidding/status", async (req, res) => {
 router.post("/:id/purchase", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity = 1, paymentMethod = "card" } = req.body;
+    const { quantity = 1, paymentMethodId = null } = req.body;
     const userId = req.user.id;
     const userEmail = req.user.email;
 
@@ -890,70 +1556,80 @@ router.post("/:id/purchase", authenticateToken, async (req, res) => {
     }
 
     // Validation checks
-    if (product.stock < quantity) {
+    const purchaseError = getPurchaseError(product, Number(quantity), {
+      id: userId,
+      email: userEmail,
+    });
+    if (purchaseError) {
       return res.status(400).json({
-        message: `Nedovoljna količina na stanju. Dostupno: ${product.stock}`,
+        message: purchaseError,
       });
     }
 
-    if (product.isBidding && product.biddingStatus === "active") {
-      return res.status(400).json({
-        message:
-          "Proizvod je trenutno na licitaciji i ne može se kupiti direktno",
-      });
+    // Process purchase - stock is taken with a conditional update,
+    // an active auction can only be bought through Buy-It-Now
+    let result;
+    try {
+      const buyer = { id: userId, email: userEmail, name: req.user.username };
+      result = product.canBuyItNow()
+        ? await checkoutBuyItNow({ product, buyer, paymentMethodId })
+        : await checkoutItems({
+            items: [{ productId: id, quantity: Number(quantity) }],
+            buyer,
+            paymentMethodId,
+          });
+    } catch (checkoutError) {
+      if (checkoutError instanceof CheckoutError) {
+        return res.status(409).json({
+          message: checkoutError.errors[0] || checkoutError.message,
+        });
+      }
+      if (checkoutError instanceof PaymentError) {
+        return res.status(checkoutError.status).json({
+          message: checkoutError.message,
+          reason: checkoutError.reason,
+        });
+      }
+      throw checkoutError;
     }
 
+    const { order } = result;
+    const [line] = order.items;
+    // The order is paid at this point; the product may have been removed
+    // or changed since, which must not fail the response
+    const updatedProduct = await Product.findById(id);
+
     if (
-      product.biddingStatus === "reserved" &&
-      product.bestBidderEmail !== userEmail
+      updatedProduct &&
+      updatedProduct.soldViaBuyItNow &&
+      product.biddingStatus === "active"
     ) {
-      return res.status(400).json({
-        message: "Proizvod je rezerviran za pobjednika licitacije",
-      });
+      publishAuctionEvent("sold", updatedProduct);
     }
-
-    // Process purchase
-    const totalPrice = product.currentPrice * quantity;
-
-    // Update product stock
-    product.stock -= quantity;
-
-    // If stock reaches 0, mark as sold
-    if (product.stock === 0) {
-      product.biddingStatus = "sold";
-    }
-
-    await product.save();
-
-    // Log purchase (in real app, save to orders collection)
-    console.log(`📦 Purchase completed:`, {
-      productId: product._id,
-      productName: product.name,
-      buyerId: userId,
-      buyerEmail: userEmail,
-      quantity,
-      totalPrice,
-      paymentMethod,
-      timestamp: new Date(),
-    });
+    dispatchNotification(notifyOrderPlaced(order), "order placed");
 
     res.json({
       message: "Kupnja je uspješno završena",
       purchase: {
-        orderId: `ORDER-${Date.now()}`,
-        productId: product._id,
-        productName: product.name,
-        quantity,
-        unitPrice: product.currentPrice,
-        totalPrice,
-        paymentMethod,
-        timestamp: new Date(),
-      },
-      updatedProduct: {
-        _id: product._id,
-        stock: product.stock,
-        biddingStatus: product.biddingStatus,
+        orderId: order.orderNumber,
+        order,
+        productId: line.productId,
+        productName: line.productName,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        totalPrice: line.totalPrice,
+        paymentMethod: order.paymentMethod,
+        paymentId: order.paymentId,
+        timestamp: order.createdAt,
       },
+      updatedProduct: updatedProduct
+        ? {
+            _id: updatedProduct._id,
+            stock: updatedProduct.stock,
+            biddingStatus: updatedProduct.biddingStatus,
+            soldViaBuyItNow: updatedProduct.soldViaBuyItNow,
+          }
+        : null,
     });
   } catch (error) {
     console.error("Error processing purchase:", error);
@@ -965,9 +1641,10 @@ router.post("/:id/purchase", authenticateToken, async (req, res) => {
 });
 
 // Batch purchase endpoint (for cart purchases)
+// All items are bought or none, unless allowPartial is set
 router.post("/purchase/batch", authenticateToken, async (req, res) => {
   try {
-    const { items, paymentMethod = "card" } = req.body;
+    const { items, paymentMethodId = null, allowPartial = false } = req.body;
     const userId = req.user.id;
     const userEmail = req.user.email;
 
@@ -977,100 +1654,49 @@ router.post("/purchase/batch", authenticateToken, async (req, res) => {
       });
     }
 
-    const purchaseResults = [];
-    const errors = [];
-    let totalAmount = 0;
-
-    // Process each item
-    for (const item of items) {
-      try {
-        const { productId, quantity = 1 } = item;
-
-        if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
-          errors.push(`Nevaljan ID proizvoda: ${productId}`);
-          continue;
-        }
-
-        const product = await Product.findById(productId);
-
-        if (!product) {
-          errors.push(`Proizvod nije pronađen: ${productId}`);
-          continue;
-        }
-
-        // Validation checks
-        if (product.stock < quantity) {
-          errors.push(
-            `${product.name}: Nedovoljna količina (dostupno: ${product.stock})`
-          );
-          continue;
-        }
-
-        if (product.isBidding && product.biddingStatus === "active") {
-          errors.push(`${product.name}: Proizvod je na licitaciji`);
-          continue;
-        }
-
-        if (
-          product.biddingStatus === "reserved" &&
-          product.bestBidderEmail !== userEmail
-        ) {
-          errors.push(`${product.name}: Proizvod je rezerviran`);
-          continue;
-        }
-
-        // Process individual purchase
-        const itemTotal = product.currentPrice * quantity;
-        totalAmount += itemTotal;
-
-        // Update product
-        product.stock -= quantity;
-        if (product.stock === 0) {
-          product.biddingStatus = "sold";
-        }
-        await product.save();
-
-        purchaseResults.push({
-          productId: product._id,
-          productName: product.name,
-          quantity,
-          unitPrice: product.currentPrice,
-          totalPrice: itemTotal,
+    let result;
+    try {
+      result = await checkoutItems({
+        items,
+        buyer: { id: userId, email: userEmail, name: req.user.username },
+        paymentMethodId,
+        allowPartial: allowPartial === true || allowPartial === "true",
+      });
+    } catch (checkoutError) {
+      if (checkoutError instanceof CheckoutError) {
+        return res.status(allowPartial ? 400 : 409).json({
+          message: allowPartial
+            ? checkoutError.message
+            : "Nijedan proizvod nije kupljen - narudžba nije izvršena",
+          errors: checkoutError.errors,
+        });
+      }
+      if (checkoutError instanceof PaymentError) {
+        return res.status(checkoutError.status).json({
+          message: checkoutError.message,
+          reason: checkoutError.reason,
         });
-      } catch (itemError) {
-        errors.push(`${item.productId}: ${itemError.message}`);
       }
+      throw checkoutError;
     }
 
-    // If all items failed, return error
-    if (purchaseResults.length === 0) {
-      return res.status(400).json({
-        message: "Nijedan proizvod nije uspješno kupljen",
-        errors,
-      });
+    const { order, purchased, errors, auctionsSold } = result;
+    for (const productId of auctionsSold) {
+      const soldProduct = await Product.findById(productId);
+      if (soldProduct) publishAuctionEvent("sold", soldProduct);
     }
-
-    const orderId = `ORDER-${Date.now()}`;
-
-    // Log batch purchase
-    console.log(`📦 Batch purchase completed:`, {
-      orderId,
-      buyerId: userId,
-      buyerEmail: userEmail,
-      items: purchaseResults,
-      totalAmount,
-      paymentMethod,
-      timestamp: new Date(),
-    });
+    dispatchNotification(notifyOrderPlaced(order), "order placed");
 
     res.json({
-      message: `Uspješno kupljeno ${purchaseResults.length} proizvoda`,
+      message: `Uspješno kupljeno ${purchased.length} proizvoda`,
       purchase: {
-        orderId,
-        items: purchaseResults,
-        totalAmount,
-        paymentMethod,
-        timestamp: new Date(),
+        orderId: order.orderNumber,
+        order,
+        items: purchased,
+        totalAmount: order.totalAmount,
+        paymentMethod: order.paymentMethod,
+        paymentId: order.paymentId,
+        timestamp: order.createdAt,
       },
       errors: errors.length > 0 ? errors : undefined,
     });
@@ -0,0 +1,186 @@
+import createMemoryStore from "./memoryStore.js";
+import createMongoStore from "./mongoStore.js";
+
+/**
+ * Rate limit stores implement:
+ * - name: identifier used with RATE_LIMIT_STORE
+ * - increment(key, windowMs): counts a hit in the key's current window
+ *   (starting a new one when needed); resolves to { count, resetAt }
+ * - get(key): resolves to { count, resetAt } or null when no window is open
+ * - reset(key): forgets the key
+ */
+const storeFactories = new Map([
+  ["memory", createMemoryStore],
+  ["mongo", createMongoStore],
+]);
+
+let activeStore = null;
+
+/**
+ * Select the store by name or pass a store object (tests).
+ */
+export const setRateLimitStore = (nameOrStore) => {
+  if (typeof nameOrStore !== "string") {
+    activeStore = nameOrStore;
+    return;
+  }
+
+  const createStore = storeFactories.get(nameOrStore);
+  if (!createStore) {
+    throw new Error(`Unknown rate limit store: ${nameOrStore}`);
+  }
+  activeStore = createStore();
+};
+
+/**
+ * The active store, chosen with RATE_LIMIT_STORE (default: memory).
+ */
+export const getRateLimitStore = () => {
+  if (!activeStore) {
+    setRateLimitStore(process.env.RATE_LIMIT_STORE || "memory");
+  }
+  return activeStore;
+};
+
+// A limiter's own store (name or object), or the active store
+const resolveStore = (store) => {
+  if (!store) return getRateLimitStore;
+
+  if (typeof store === "string") {
+    const createStore = storeFactories.get(store);
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store: ${store}`);
+    }
+    store = createStore();
+  }
+  return () => store;
+};
+
+const secondsUntil = (date) =>
+  Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+const byIp = (req) => req.ip;
+
+/**
+ * Limit how often a client may call a route group. Sets the RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers, and answers 429 with
+ * Retry-After once `max` requests were made within `windowMs`.
+ *
+ * Options:
+ * - name: prefix that keeps the counters of different limiters apart
+ * - keyGenerator(req): who is counted (default: the client IP); returning
+ *   null skips the limiter for the request
+ * - message: response message when the limit is reached
+ * - store: store name or object (default: the active store)
+ *
+ * When the store fails the request is let through, so an unavailable
+ * database does not lock everyone out.
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message = "Too many requests, please try again later",
+  store = null,
+}) => {
+  const getStore = resolveStore(store);
+
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    let hits;
+    try {
+      hits = await getStore().increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      console.error(`Error in rate limiter "${name}":`, error.message);
+      return next();
+    }
+
+    const resetSeconds = secondsUntil(hits.resetAt);
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - hits.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (hits.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({ message, retryAfter: resetSeconds });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Progressive lockout for failed logins of one account. After `maxFailures`
+ * failed attempts within `windowMs` the account is locked for `baseLockMs`;
+ * every further lockout within `levelDecayMs` doubles the lock, up to
+ * `maxLockMs`.
+ *
+ * A locked account gets 429 with Retry-After. Otherwise the route receives
+ * req.loginAttempt with failed() (resolves to the lock in ms, 0 when not
+ * locked) and succeeded() (clears the account's history). `store` works
+ * as for rateLimit.
+ */
+export const loginLockout = ({
+  maxFailures = 5,
+  windowMs = 15 * 60 * 1000,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  levelDecayMs = 24 * 60 * 60 * 1000,
+  accountOf = (req) => req.body && req.body.username,
+  message = "Too many failed login attempts, please try again later",
+  store = null,
+} = {}) => {
+  const getStore = resolveStore(store);
+
+  return async (req, res, next) => {
+    const account = accountOf(req);
+    if (!account) return next();
+
+    const id = String(account).trim().toLowerCase();
+    const keys = {
+      failures: `login-failures:${id}`,
+      level: `login-lock-level:${id}`,
+      lock: `login-lock:${id}`,
+    };
+    const lockoutStore = getStore();
+
+    try {
+      const lock = await lockoutStore.get(keys.lock);
+      if (lock) {
+        const retryAfter = secondsUntil(lock.resetAt);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ message, retryAfter });
+      }
+    } catch (error) {
+      console.error("Error checking login lockout:", error.message);
+      return next();
+    }
+
+    req.loginAttempt = {
+      async failed() {
+        const failures = await lockoutStore.increment(keys.failures, windowMs);
+        if (failures.count < maxFailures) return 0;
+
+        const level = await lockoutStore.increment(keys.level, levelDecayMs);
+        const lockMs = Math.min(baseLockMs * 2 ** (level.count - 1), maxLockMs);
+        await lockoutStore.increment(keys.lock, lockMs);
+        await lockoutStore.reset(keys.failures);
+
+        console.warn(`⚠️ Login locked for "${id}" for ${lockMs / 1000}s`);
+        return lockMs;
+      },
+
+      async succeeded() {
+        await lockoutStore.reset(keys.failures);
+        await lockoutStore.reset(keys.level);
+      },
+    };
+
+    next();
+  };
+};
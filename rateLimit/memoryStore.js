@@ -0,0 +1,53 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process store. Counters are lost on restart and not shared between
+ * server instances; use the mongo store when running several instances.
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.resetAt <= new Date()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Drop finished windows so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = new Date();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs) {
+      let entry = getEntry(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: new Date(Date.now() + windowMs) };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = getEntry(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+export default createMemoryStore;
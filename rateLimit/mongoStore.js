@@ -0,0 +1,27 @@
+import RateLimit from "../models/RateLimit.js";
+
+/**
+ * Store backed by the `rateLimits` collection, so every server instance
+ * counts against the same limits.
+ */
+const createMongoStore = () => ({
+  name: "mongo",
+
+  increment(key, windowMs) {
+    return RateLimit.hit(key, windowMs);
+  },
+
+  async get(key) {
+    const entry = await RateLimit.findOne({
+      _id: key,
+      resetAt: { $gt: new Date() },
+    }).lean();
+    return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ _id: key });
+  },
+});
+
+export default createMongoStore;
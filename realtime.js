@@ -0,0 +1,189 @@
+import express from "express";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import AuctionEvent from "./models/AuctionEvent.js";
+
+const router = express.Router();
+
+// In-process event bus for auction updates; with REALTIME_CHANNEL=mongo the
+// events of other server instances are relayed onto it as well
+const auctionEvents = new EventEmitter();
+auctionEvents.setMaxListeners(0);
+
+const HEARTBEAT_INTERVAL = 25000;
+const RELAY_RETRY_DELAY = 1000;
+let eventId = 0;
+
+// Identifies events published by this instance in the shared collection
+const origin = crypto.randomBytes(8).toString("hex");
+let relayStarted = false;
+
+/**
+ * Public snapshot of an auction sent with every event.
+ * Never includes hidden fields like proxy maximums or the reserve price.
+ */
+const toAuctionPayload = (product) => ({
+  productId: String(product._id),
+  name: product.name,
+  currentPrice: product.currentPrice,
+  bestBidder: product.bestBidder,
+  bidCount: product.bidCount,
+  biddingStatus: product.biddingStatus,
+  biddingEndTime: product.biddingEndTime,
+  timeRemaining: product.timeRemaining,
+  extensionCount: product.extensionCount,
+  reserveMet: product.reserveMet,
+});
+
+// Deliver an event to the subscribers connected to this instance
+const emitEvent = (type, productId, payload) => {
+  auctionEvents.emit("event", { id: ++eventId, type, productId, payload });
+};
+
+/**
+ * Publish an auction event to all subscribers.
+ * Types: bid, outbid, extended, ended, reserved, sold.
+ */
+export const publishAuctionEvent = (type, product, data = {}) => {
+  const productId = String(product._id);
+  const payload = {
+    type,
+    ...toAuctionPayload(product),
+    ...data,
+    timestamp: new Date(),
+  };
+
+  emitEvent(type, productId, payload);
+
+  if (relayStarted) {
+    AuctionEvent.create({ origin, type, productId, payload }).catch((error) =>
+      console.error("Error sharing auction event:", error.message)
+    );
+  }
+};
+
+// Follow the shared collection and deliver the other instances' events.
+// The cursor ends when the collection is empty or the connection drops;
+// it is then reopened after the last event seen.
+const followSharedEvents = (lastId) => {
+  const filter = lastId ? { _id: { $gt: lastId } } : {};
+  const cursor = AuctionEvent.find(filter)
+    .tailable(true, { awaitData: true })
+    .lean()
+    .cursor();
+
+  let reopened = false;
+  const reopen = () => {
+    if (reopened) return;
+    reopened = true;
+    setTimeout(() => followSharedEvents(lastId), RELAY_RETRY_DELAY);
+  };
+
+  cursor.on("data", (event) => {
+    lastId = event._id;
+    if (event.origin !== origin) {
+      emitEvent(event.type, event.productId, event.payload);
+    }
+  });
+  cursor.on("error", (error) => {
+    console.error("Error following shared auction events:", error.message);
+    reopen();
+  });
+  cursor.on("end", reopen);
+};
+
+/**
+ * Share auction events with the other server instances when
+ * REALTIME_CHANNEL=mongo. Every instance writes its events to the capped
+ * `auctionEvents` collection and follows it with a tailable cursor, so SSE
+ * clients see every bid whichever instance they are connected to.
+ * By default (`memory`) events only reach this process.
+ */
+export const startRealtimeRelay = async () => {
+  const channel = process.env.REALTIME_CHANNEL || "memory";
+  if (channel === "memory" || relayStarted) return;
+  if (channel !== "mongo") {
+    throw new Error(`Unknown realtime channel: ${channel}`);
+  }
+
+  await AuctionEvent.ensureCollection();
+
+  // Only events published from now on are relayed
+  const latest = await AuctionEvent.findOne()
+    .sort({ $natural: -1 })
+    .select("_id")
+    .lean();
+
+  relayStarted = true;
+  followSharedEvents(latest ? latest._id : null);
+  console.log("📡 Auction events are shared through MongoDB");
+};
+
+// Publish the events for an auction closed by expiry processing
+export const publishAuctionClosed = (product) => {
+  publishAuctionEvent("ended", product, {
+    winner: product.reservedForWinner ? product.bestBidder : null,
+    reserveNotMet: product.reserveNotMet,
+  });
+
+  if (product.reservedForWinner) {
+    publishAuctionEvent("reserved", product, { winner: product.bestBidder });
+  }
+};
+
+// Open a Server-Sent Events stream, optionally limited to one product
+const openStream = (req, res, productId = null) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const send = (event) => {
+    if (productId && event.productId !== productId) return;
+    res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event.payload)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(`: ping\n\n`);
+  }, HEARTBEAT_INTERVAL);
+
+  auctionEvents.on("event", send);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    auctionEvents.off("event", send);
+  });
+};
+
+// Stream events for all auctions
+router.get("/auctions", (req, res) => {
+  openStream(req, res);
+});
+
+// Stream events for a single product
+router.get("/products/:id", (req, res) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      message: "Nevaljan ID proizvoda",
+    });
+  }
+
+  openStream(req, res, id);
+});
+
+// Number of connected clients (monitoring)
+router.get("/status", (req, res) => {
+  res.json({
+    subscribers: auctionEvents.listenerCount("event"),
+  });
+});
+
+export default router;
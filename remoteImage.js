@@ -0,0 +1,399 @@
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+
+// Redirects followed before giving up; every hop is checked again
+const MAX_REDIRECTS = 3;
+
+// Bytes fetched to recognise an image and read its dimensions
+const SNIFF_BYTES = 64 * 1024;
+
+// Time allowed for one validation or download, redirects included
+const REMOTE_IMAGE_TIMEOUT_MS =
+  parseInt(process.env.REMOTE_IMAGE_TIMEOUT_MS) || 5000;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Error raised for remote URLs that are not allowed or not usable images.
+ */
+export class RemoteImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RemoteImageError";
+    this.status = 400;
+  }
+}
+
+// Private, loopback, link-local, shared, reserved and documentation ranges
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  blockedRanges.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 96], // Unspecified, loopback and IPv4-compatible
+  ["100::", 64],
+  ["2001::", 23],
+  ["2001:db8::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  blockedRanges.addSubnet(network, prefix, "ipv6")
+);
+
+// The eight 16-bit groups of an IPv6 address
+const ipv6Groups = (address) => {
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split(".").map(Number);
+    text = text.replace(
+      dotted[1],
+      `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`
+    );
+  }
+
+  const [head, tail] = text.split("::");
+  const parse = (part) =>
+    part ? part.split(":").map((group) => parseInt(group, 16)) : [];
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  const zeros =
+    tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...new Array(zeros).fill(0), ...tailGroups];
+};
+
+// IPv4 address carried in an IPv4-mapped (::ffff:0:0/96) or NAT64
+// (64:ff9b::/96) IPv6 address
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const mapped =
+    groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff;
+  const nat64 =
+    groups[0] === 0x64 &&
+    groups[1] === 0xff9b &&
+    groups.slice(2, 6).every((group) => group === 0);
+  if (!mapped && !nat64) return null;
+
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff]
+    .map(String)
+    .join(".");
+};
+
+/**
+ * Whether an IP address is publicly routable (not private, loopback,
+ * link-local, multicast or otherwise reserved).
+ */
+export const isPublicAddress = (input) => {
+  const address = String(input).split("%")[0]; // Drop an IPv6 zone index
+  const family = net.isIP(address);
+  if (family === 4) return !blockedRanges.check(address, "ipv4");
+  if (family !== 6) return false;
+
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4) return isPublicAddress(ipv4);
+  return !blockedRanges.check(address, "ipv6");
+};
+
+// DNS lookup for outgoing requests that refuses non-public addresses, so
+// the address connected to is the one that was checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (
+      addresses.length === 0 ||
+      addresses.some(({ address }) => !isPublicAddress(address))
+    ) {
+      return callback(
+        new RemoteImageError("URL points to a private or local address")
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Parse a URL a request may be sent to (http/https, no credentials,
+// no literal private address)
+const parseRemoteUrl = (input) => {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    throw new RemoteImageError("Invalid URL format");
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new RemoteImageError("Only http and https URLs are allowed");
+  }
+  if (url.username || url.password) {
+    throw new RemoteImageError("URLs with credentials are not allowed");
+  }
+
+  // IP literals are connected to without a DNS lookup
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new RemoteImageError("URL points to a private or local address");
+  }
+
+  return url;
+};
+
+// One GET request. With `partial` only the first maxBytes of the body are
+// read, otherwise a body larger than maxBytes is an error.
+const requestOnce = (url, { maxBytes, partial, deadline }) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    let settled = false;
+
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      request.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const request = client.get(
+      url,
+      {
+        lookup: publicLookup,
+        agent: false,
+        headers: {
+          Accept: "image/*",
+          "User-Agent": "KuPro-ImageFetcher/1.0",
+          ...(partial ? { Range: `bytes=0-${maxBytes - 1}` } : {}),
+        },
+      },
+      (response) => {
+        const result = {
+          status: response.statusCode,
+          headers: response.headers,
+          body: null,
+        };
+        if (![200, 206].includes(response.statusCode)) {
+          return settle(null, result);
+        }
+
+        const chunks = [];
+        let length = 0;
+        const finish = () =>
+          settle(null, {
+            ...result,
+            body: Buffer.concat(chunks).subarray(0, maxBytes),
+          });
+
+        response.on("data", (chunk) => {
+          chunks.push(chunk);
+          length += chunk.length;
+
+          if (length > maxBytes && !partial) {
+            settle(new RemoteImageError("Image is too large"));
+          } else if (length >= maxBytes && partial) {
+            finish();
+          }
+        });
+        response.on("end", finish);
+        response.on("error", (error) => settle(error));
+      }
+    );
+
+    const timer = setTimeout(
+      () => settle(new RemoteImageError("Image URL did not respond in time")),
+      Math.max(0, deadline - Date.now())
+    );
+    request.on("error", (error) => settle(error));
+  });
+
+/**
+ * Fetch a remote URL without reaching private networks: every address the
+ * host resolves to must be public, and redirects (at most MAX_REDIRECTS)
+ * are checked the same way. Resolves to { url, status, headers, body }
+ * where `url` is the final URL and `body` at most maxBytes long.
+ */
+export const fetchRemote = async (input, { maxBytes, partial = false }) => {
+  const deadline = Date.now() + REMOTE_IMAGE_TIMEOUT_MS;
+  let url = parseRemoteUrl(input);
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await requestOnce(url, { maxBytes, partial, deadline });
+    } catch (error) {
+      if (error instanceof RemoteImageError) throw error;
+      throw new RemoteImageError("Cannot access image from this URL");
+    }
+
+    if (!REDIRECT_STATUSES.includes(response.status)) {
+      if (!response.body) {
+        throw new RemoteImageError("Image cannot be accessed from this URL");
+      }
+      return { url: url.href, ...response };
+    }
+
+    if (redirects >= MAX_REDIRECTS || !response.headers.location) {
+      throw new RemoteImageError("Image URL redirects too often");
+    }
+    url = parseRemoteUrl(new URL(response.headers.location, url).href);
+  }
+};
+
+// Width and height of a JPEG, from its first SOF marker
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+
+    if (marker === 0xff) {
+      offset++; // Fill byte
+    } else if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += 2; // Markers without a length
+    } else if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+// Width and height of a WebP (lossy, lossless or extended)
+const webpSize = (buffer) => {
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+};
+
+/**
+ * Recognise an image from its first bytes (magic number) instead of the
+ * URL or Content-Type. Resolves to { format, contentType, width, height }
+ * (dimensions null when not within the bytes given), or null for anything
+ * that is not a JPEG, PNG, GIF or WebP.
+ */
+export const sniffImage = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  let format = null;
+  let size = null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    format = "jpeg";
+    size = jpegSize(buffer);
+  } else if (
+    buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))
+  ) {
+    format = "png";
+    if (buffer.length >= 24 && buffer.toString("ascii", 12, 16) === "IHDR") {
+      size = {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20),
+      };
+    }
+  } else if (/^GIF8[79]a$/.test(buffer.toString("ascii", 0, 6))) {
+    format = "gif";
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    format = "webp";
+    size = webpSize(buffer);
+  }
+
+  if (!format) return null;
+  return {
+    format,
+    contentType: `image/${format}`,
+    width: size ? size.width : null,
+    height: size ? size.height : null,
+  };
+};
+
+// Total size of the remote file from Content-Range or Content-Length
+const remoteSize = ({ status, headers }) => {
+  const range = /\/(\d+)$/.exec(headers["content-range"] || "");
+  if (status === 206 && range) return Number(range[1]);
+  return headers["content-length"] ? Number(headers["content-length"]) : null;
+};
+
+/**
+ * Check that a URL serves an image, fetching only its first bytes.
+ * Resolves to { url, finalUrl, format, contentType, width, height, size }.
+ */
+export const inspectRemoteImage = async (input) => {
+  const response = await fetchRemote(input, {
+    maxBytes: SNIFF_BYTES,
+    partial: true,
+  });
+
+  const image = sniffImage(response.body);
+  if (!image) {
+    throw new RemoteImageError("URL does not point to a valid image");
+  }
+
+  return {
+    url: input,
+    finalUrl: response.url,
+    ...image,
+    size: remoteSize(response),
+  };
+};
+
+/**
+ * Download a remote image (at most maxBytes), e.g. to store a copy.
+ */
+export const downloadRemoteImage = async (input, maxBytes) => {
+  const response = await fetchRemote(input, { maxBytes });
+
+  if (!sniffImage(response.body)) {
+    throw new RemoteImageError("URL does not point to a valid image");
+  }
+  return response.body;
+};
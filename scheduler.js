@@ -1,15 +1,44 @@
 import mongoose from "mongoose";
 import Product from "./models/Product.js";
+import connectToDatabase from "./databaseConnector.js";
+import { publishAuctionClosed } from "./realtime.js";
+import { registerJob } from "./jobRunner.js";
+import {
+  notifyAuctionWon,
+  notifyAuctionEndingSoon,
+  notifyAuctionClosed,
+  dispatchNotification,
+} from "./notificationService.js";
+
+export const AUCTION_JOB_NAME = "close-expired-auctions";
+export const ENDING_SOON_JOB_NAME = "auction-ending-soon";
+
+// How long before the end bidders get the "ending soon" email
+const ENDING_SOON_MINUTES = parseInt(process.env.ENDING_SOON_MINUTES) || 60;
+
+// Auctions that failed to close are retried with a doubling delay
+const CLOSE_RETRY_BASE_MS = 30 * 1000;
+const CLOSE_RETRY_MAX_MS = 30 * 60 * 1000;
+const closeRetries = new Map(); // productId -> { failures, retryAt }
+
+const recordCloseFailure = (productId) => {
+  const key = String(productId);
+  const failures = (closeRetries.get(key)?.failures || 0) + 1;
+  const delay = Math.min(
+    CLOSE_RETRY_BASE_MS * 2 ** (failures - 1),
+    CLOSE_RETRY_MAX_MS
+  );
+  closeRetries.set(key, { failures, retryAt: new Date(Date.now() + delay) });
+};
 
-// Connect to MongoDB
-mongoose.connect("mongodb://localhost:27017/kupro", {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
+const isBackedOff = (productId) => {
+  const retry = closeRetries.get(String(productId));
+  return Boolean(retry) && retry.retryAt > new Date();
+};
 
 /**
  * Process expired biddings and notify winners
- * This function should be called periodically (e.g., every 5 minutes via cron job)
+ * Runs in the server through the job runner (see startAuctionScheduler)
  */
 const processExpiredBiddings = async () => {
   try {
@@ -17,14 +46,24 @@ const processExpiredBiddings = async () => {
     console.log(`Timestamp: ${new Date().toISOString()}`);
 
     // Find all products with expired biddings
-    const expiredProducts = await Product.find({
+    const expiredAuctions = await Product.find({
       biddingStatus: "active",
       biddingEndTime: { $lte: new Date() },
     });
 
+    // Forget failures of auctions that were closed (or removed) meanwhile
+    const expiredIds = new Set(expiredAuctions.map((p) => String(p._id)));
+    for (const key of closeRetries.keys()) {
+      if (!expiredIds.has(key)) closeRetries.delete(key);
+    }
+    const expiredProducts = expiredAuctions.filter(
+      (product) => !isBackedOff(product._id)
+    );
+
     console.log(`Found ${expiredProducts.length} expired biddings to process`);
 
     const processedBiddings = [];
+    const skippedBiddings = [];
     const failedBiddings = [];
 
     for (const product of expiredProducts) {
@@ -34,34 +73,47 @@ const processExpiredBiddings = async () => {
         console.log(`  - Current price: ${product.currentPrice}`);
         console.log(`  - Best bidder: ${product.bestBidder || "None"}`);
         console.log(`  - Bid count: ${product.bidCount}`);
+        console.log(`  - Extensions: ${product.extensionCount}`);
+
+        // Close only if no last-second bid extended the auction meanwhile
+        const closed = await Product.closeAuction(product);
+        closeRetries.delete(String(product._id));
+        if (closed) {
+          publishAuctionClosed(closed); // Notify live subscribers
+          dispatchNotification(notifyAuctionClosed(closed), "auction closed");
+        }
 
-        if (product.bestBidder) {
-          // Reserve product for winner
-          product.reserveForWinner();
-          await product.save();
-
-          processedBiddings.push({
+        if (!closed) {
+          skippedBiddings.push({
             productId: product._id,
             productName: product.name,
-            winner: product.bestBidder,
-            winnerEmail: product.bestBidderEmail,
-            winningBid: product.currentPrice,
-            originalPrice: product.originalPrice,
-            bidCount: product.bidCount,
+          });
+          console.log(`  ⏱️ Auction was extended or changed, left open`);
+        } else if (closed.reserveNotMet) {
+          console.log(
+            `  ⚠️ Reserve price not met (highest bid €${closed.currentPrice}), no winner`
+          );
+        } else if (closed.bestBidder) {
+          processedBiddings.push({
+            productId: closed._id,
+            productName: closed.name,
+            winner: closed.bestBidder,
+            winnerEmail: closed.bestBidderEmail,
+            winningBid: closed.currentPrice,
+            originalPrice: closed.originalPrice,
+            bidCount: closed.bidCount,
+            extensionCount: closed.extensionCount,
           });
 
           console.log(
-            `  ✅ Reserved for winner: ${product.bestBidder} (${product.bestBidderEmail})`
+            `  ✅ Reserved for winner: ${closed.bestBidder} (${closed.bestBidderEmail})`
           );
         } else {
-          // No bids, just mark as ended
-          product.biddingStatus = "ended";
-          await product.save();
-
           console.log(`  ⚠️ No bids received, marked as ended`);
         }
       } catch (error) {
         console.error(`  ❌ Error processing ${product.name}:`, error.message);
+        recordCloseFailure(product._id);
         failedBiddings.push({
           productId: product._id,
           productName: product.name,
@@ -73,6 +125,7 @@ const processExpiredBiddings = async () => {
     // Summary
     console.log("\n=== PROCESSING SUMMARY ===");
     console.log(`✅ Successfully processed: ${processedBiddings.length}`);
+    console.log(`⏱️ Extended, left open: ${skippedBiddings.length}`);
     console.log(`❌ Failed to process: ${failedBiddings.length}`);
 
     if (processedBiddings.length > 0) {
@@ -93,8 +146,10 @@ const processExpiredBiddings = async () => {
 
     return {
       processed: processedBiddings.length,
+      skipped: skippedBiddings.length,
       failed: failedBiddings.length,
       processedBiddings,
+      skippedBiddings,
       failedBiddings,
     };
   } catch (error) {
@@ -130,7 +185,8 @@ const getBiddingStats = async () => {
     });
 
     const reservedProducts = await Product.countDocuments({
-      biddingStatus: "reserved",
+      biddingStatus: "ended",
+      reservedForWinner: true,
     });
 
     return {
@@ -147,41 +203,142 @@ const getBiddingStats = async () => {
 };
 
 /**
- * Send notifications to winners (placeholder - implement with actual notification service)
+ * Email winners whose products are reserved for them
  */
 const notifyWinners = async () => {
   try {
     const reservedProducts = await Product.find({
-      biddingStatus: "reserved",
+      biddingStatus: "ended",
+      reservedForWinner: true,
       winnerNotified: false,
     });
 
     console.log(`\n=== NOTIFYING WINNERS ===`);
     console.log(`Found ${reservedProducts.length} winners to notify`);
 
+    let notified = 0;
     for (const product of reservedProducts) {
-      // Here you would integrate with your notification service
-      // For now, just log the notification details
       console.log(`📧 Notifying: ${product.bestBidderEmail}`);
-      console.log(`   Product: ${product.name}`);
-      console.log(`   Winning bid: €${product.currentPrice}`);
-      console.log(`   Contact seller: ${product.userEmail}`);
+      const log = await notifyAuctionWon(product);
 
-      // Mark as notified
-      product.winnerNotified = true;
-      await product.save();
+      // Only mark as notified once the email went out - retried next run
+      if (log.status === "sent") {
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { winnerNotified: true } }
+        );
+        notified++;
+      }
     }
 
-    return { notified: reservedProducts.length };
+    return { notified, failed: reservedProducts.length - notified };
   } catch (error) {
     console.error("Error notifying winners:", error);
     return { error: error.message };
   }
 };
 
+/**
+ * Email bidders of auctions that end within ENDING_SOON_MINUTES
+ */
+const notifyEndingSoon = async () => {
+  try {
+    const now = new Date();
+    const soon = new Date(now.getTime() + ENDING_SOON_MINUTES * 60 * 1000);
+
+    const endingProducts = await Product.find({
+      isBidding: true,
+      biddingStatus: "active",
+      biddingEndTime: { $gt: now, $lte: soon },
+      endingSoonNotified: { $ne: true },
+      "bidHistory.0": { $exists: true },
+    });
+
+    let notified = 0;
+    let emailsSent = 0;
+    for (const product of endingProducts) {
+      // Flag first so a slow mail server cannot cause duplicate reminders
+      const claimed = await Product.updateOne(
+        { _id: product._id, endingSoonNotified: { $ne: true } },
+        { $set: { endingSoonNotified: true } }
+      );
+      if (claimed.nModified === 0) continue;
+
+      const logs = await notifyAuctionEndingSoon(product);
+      notified++;
+      emailsSent += logs.filter((log) => log.status === "sent").length;
+    }
+
+    return { notified, emailsSent };
+  } catch (error) {
+    console.error("Error sending ending soon reminders:", error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * Get when the closing job is next due: the end time of the auction that
+ * closes next, or the next retry of one that failed to close (null if
+ * neither is pending)
+ */
+const getNextAuctionEndTime = async () => {
+  const next = await Product.findOne({
+    isBidding: true,
+    biddingStatus: "active",
+    biddingEndTime: { $ne: null },
+    _id: { $nin: [...closeRetries.keys()] },
+  })
+    .sort({ biddingEndTime: 1 })
+    .select("biddingEndTime")
+    .lean();
+
+  const dueTimes = [...closeRetries.values()].map((retry) => retry.retryAt);
+  if (next) dueTimes.push(next.biddingEndTime);
+  return dueTimes.length > 0
+    ? new Date(Math.min(...dueTimes.map(Number)))
+    : null;
+};
+
+/**
+ * Register the auction closing job with the in-process job runner.
+ * The runner sleeps until the next biddingEndTime (re-checking at least
+ * every minute for new or extended auctions) and holds a Mongo lease while
+ * running, so only one server instance closes auctions. An auction that
+ * fails to close is retried after 30 seconds, doubling up to 30 minutes.
+ * A second job sends "ending soon" reminders every five minutes.
+ */
+const startAuctionScheduler = () => {
+  registerJob({
+    name: AUCTION_JOB_NAME,
+    getNextRunAt: getNextAuctionEndTime,
+    maxIdleMs: 60 * 1000,
+    minIntervalMs: 1000,
+    run: async () => {
+      const result = await processExpiredBiddings();
+      const notified = await notifyWinners();
+
+      return {
+        processed: result.processed,
+        skipped: result.skipped,
+        failed: result.failed,
+        notified: notified.notified,
+        error: result.error || notified.error,
+      };
+    },
+  });
+
+  registerJob({
+    name: ENDING_SOON_JOB_NAME,
+    maxIdleMs: 5 * 60 * 1000,
+    run: notifyEndingSoon,
+  });
+};
+
 // CLI interface
 const main = async () => {
   try {
+    await connectToDatabase();
+
     const command = process.argv[2] || "process";
 
     switch (command) {
@@ -199,6 +356,10 @@ const main = async () => {
         await notifyWinners();
         break;
 
+      case "remind":
+        await notifyEndingSoon();
+        break;
+
       case "full":
         console.log("=== FULL BIDDING CYCLE PROCESSING ===");
         await processExpiredBiddings();
@@ -209,10 +370,13 @@ const main = async () => {
         break;
 
       default:
-        console.log("Usage: node scheduler.js [process|stats|notify|full]");
+        console.log(
+          "Usage: node scheduler.js [process|stats|notify|remind|full]"
+        );
         console.log("  process - Process expired biddings");
         console.log("  stats   - Show bidding statistics");
         console.log("  notify  - Notify winners");
+        console.log("  remind  - Send auction ending soon reminders");
         console.log("  full    - Run complete cycle");
     }
   } catch (error) {
@@ -223,7 +387,14 @@ const main = async () => {
 };
 
 // Export functions for use in other scripts or API endpoints
-export { processExpiredBiddings, getBiddingStats, notifyWinners };
+export {
+  processExpiredBiddings,
+  getBiddingStats,
+  notifyWinners,
+  notifyEndingSoon,
+  getNextAuctionEndTime,
+  startAuctionScheduler,
+};
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
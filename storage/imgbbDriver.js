@@ -0,0 +1,58 @@
+import axios from "axios";
+import FormData from "form-data";
+
+/**
+ * Uploads files to ImgBB (IMGBB_API_URL, IMGBB_API_KEY). ImgBB URLs cannot
+ * be derived from an id, so the key is the image URL itself. The API has
+ * no delete call; images are removed through their delete_url page.
+ */
+const imgbbDriver = {
+  name: "imgbb",
+  supportsDelete: false,
+
+  isConfigured() {
+    return Boolean(
+      process.env.IMGBB_API_KEY &&
+        process.env.IMGBB_API_KEY !== "YOUR_IMGBB_API_KEY"
+    );
+  },
+
+  async put({ buffer }) {
+    const formData = new FormData();
+    formData.append("image", buffer.toString("base64"));
+
+    const response = await axios.post(
+      `${process.env.IMGBB_API_URL}?key=${process.env.IMGBB_API_KEY}`,
+      formData,
+      {
+        headers: {
+          ...formData.getHeaders(),
+        },
+      }
+    );
+
+    if (!response.data.success) {
+      throw new Error("Upload failed");
+    }
+
+    const { url, display_url, delete_url, size } = response.data.data;
+    return {
+      key: url,
+      url,
+      displayUrl: display_url,
+      deleteUrl: delete_url,
+      size,
+    };
+  },
+
+  getUrl(key) {
+    return key;
+  },
+
+  async delete(key) {
+    console.warn(`⚠️ ImgBB images cannot be deleted through the API: ${key}`);
+    return false;
+  },
+};
+
+export default imgbbDriver;
@@ -0,0 +1,64 @@
+import localDriver from "./localDriver.js";
+import s3Driver from "./s3Driver.js";
+import imgbbDriver from "./imgbbDriver.js";
+
+/**
+ * Storage drivers implement:
+ * - name: identifier used with STORAGE_DRIVER
+ * - isConfigured(): whether the driver has the settings it needs
+ * - put({ buffer, contentType, originalName, key }): stores a file under
+ *   `key` (from createObjectKey; drivers that assign their own keys ignore
+ *   it); resolves to { key, url, size } (drivers may add fields, e.g.
+ *   ImgBB's deleteUrl)
+ * - getUrl(key): public URL of a stored file
+ * - delete(key): removes a file; resolves to true when it was removed
+ * - supportsDelete (optional): false when files cannot be deleted through
+ *   the driver; uploads are then flagged for manual deletion
+ */
+const drivers = new Map(
+  [localDriver, s3Driver, imgbbDriver].map((driver) => [driver.name, driver])
+);
+
+let activeDriver = null;
+
+/**
+ * Register an additional driver.
+ */
+export const registerStorageDriver = (driver) => {
+  drivers.set(driver.name, driver);
+};
+
+/**
+ * Select the active driver by name or pass a driver object (tests).
+ */
+export const setStorageDriver = (nameOrDriver) => {
+  if (typeof nameOrDriver !== "string") {
+    activeDriver = nameOrDriver;
+    return;
+  }
+
+  const driver = drivers.get(nameOrDriver);
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${nameOrDriver}`);
+  }
+  activeDriver = driver;
+};
+
+/**
+ * The active driver, chosen with STORAGE_DRIVER. Without it ImgBB is used
+ * when its API key is set (previous behaviour), otherwise local disk.
+ */
+export const getStorageDriver = () => {
+  if (!activeDriver) {
+    setStorageDriver(
+      process.env.STORAGE_DRIVER ||
+        (imgbbDriver.isConfigured() ? "imgbb" : "local")
+    );
+  }
+  return activeDriver;
+};
+
+/**
+ * Driver a stored file was created with.
+ */
+export const getStorageDriverByName = (name) => drivers.get(name) || null;
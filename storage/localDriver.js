@@ -0,0 +1,61 @@
+import fs from "fs/promises";
+import path from "path";
+import { createObjectKey, isValidObjectKey } from "./objectKey.js";
+
+// URL path the files are served under (see index.js)
+export const LOCAL_STORAGE_ROUTE = "/uploads";
+
+/**
+ * Directory the local driver writes to (LOCAL_STORAGE_DIR, default
+ * "uploads").
+ */
+export const getLocalStorageDir = () =>
+  path.resolve(process.env.LOCAL_STORAGE_DIR || "uploads");
+
+// Public base URL of the API, used to build absolute file URLs
+const publicBaseUrl = () =>
+  (
+    process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`
+  ).replace(/\/+$/, "");
+
+/**
+ * Stores files on the server's disk; Express serves them under /uploads.
+ * Meant for development, tests and single-server deployments.
+ */
+const localDriver = {
+  name: "local",
+
+  isConfigured() {
+    return true;
+  },
+
+  async put({ buffer, contentType, key: requestedKey = null }) {
+    const key = isValidObjectKey(requestedKey)
+      ? requestedKey
+      : createObjectKey(contentType);
+    const filePath = path.join(getLocalStorageDir(), key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: this.getUrl(key), size: buffer.length };
+  },
+
+  getUrl(key) {
+    return `${publicBaseUrl()}${LOCAL_STORAGE_ROUTE}/${key}`;
+  },
+
+  async delete(key) {
+    if (!isValidObjectKey(key)) return false;
+
+    try {
+      await fs.unlink(path.join(getLocalStorageDir(), key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  },
+};
+
+export default localDriver;
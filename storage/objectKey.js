@@ -0,0 +1,40 @@
+import crypto from "crypto";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+/**
+ * Unique prefix for a group of files, e.g. "2025/01/3f9c...e1".
+ */
+export const createKeyPrefix = () => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+
+  return `${now.getUTCFullYear()}/${month}/${crypto
+    .randomBytes(16)
+    .toString("hex")}`;
+};
+
+/**
+ * Object key for a stored file: "<prefix>.jpg", or "<prefix>/<name>.jpg"
+ * for one file of a group (e.g. an image rendition). Keys never contain
+ * user input, so they are safe as paths and URLs.
+ */
+export const createObjectKey = (
+  contentType,
+  { prefix = createKeyPrefix(), name = null } = {}
+) => {
+  const extension = EXTENSIONS[contentType] || "bin";
+  return name ? `${prefix}/${name}.${extension}` : `${prefix}.${extension}`;
+};
+
+/**
+ * Whether a key has the shape createObjectKey produces (no traversal).
+ */
+export const isValidObjectKey = (key) =>
+  /^\d{4}\/\d{2}\/[0-9a-f]{32}(\/[a-z0-9-]+)?\.[a-z]+$/.test(String(key || ""));
@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import axios from "axios";
+import { createObjectKey, isValidObjectKey } from "./objectKey.js";
+
+/**
+ * Stores files in an S3-compatible bucket (AWS S3, MinIO, ...).
+ *
+ * - S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY: required
+ * - S3_REGION: default us-east-1
+ * - S3_ENDPOINT: custom endpoint, e.g. http://localhost:9000 for MinIO
+ *   (path-style URLs); without it AWS virtual-hosted URLs are used
+ * - S3_PUBLIC_URL: base URL files are served from (CDN or public bucket),
+ *   default the object URL
+ *
+ * Requests are signed with AWS Signature Version 4.
+ */
+const config = () => ({
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || "us-east-1",
+  endpoint: (process.env.S3_ENDPOINT || "").replace(/\/+$/, ""),
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  publicUrl: (process.env.S3_PUBLIC_URL || "").replace(/\/+$/, ""),
+});
+
+const objectUrl = ({ bucket, region, endpoint }, key) =>
+  endpoint
+    ? `${endpoint}/${bucket}/${key}`
+    : `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+
+const sha256Hex = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// Sign a request for the S3 API (AWS Signature Version 4)
+const signRequest = (method, url, headers, body, settings) => {
+  const { pathname, host } = new URL(url);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || "");
+
+  const signedHeaders = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        String(value).trim(),
+      ])
+    ),
+    host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    "", // No query string
+    ...headerNames.map((name) => `${name}:${signedHeaders[name]}`),
+    "",
+    headerNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${settings.region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${settings.secretAccessKey}`, dateStamp), settings.region)
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  const { host: _host, ...sendHeaders } = signedHeaders;
+  return {
+    ...sendHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${
+      settings.accessKeyId
+    }/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+  };
+};
+
+const s3Driver = {
+  name: "s3",
+
+  isConfigured() {
+    const { bucket, accessKeyId, secretAccessKey } = config();
+    return Boolean(bucket && accessKeyId && secretAccessKey);
+  },
+
+  async put({ buffer, contentType, key: requestedKey = null }) {
+    const settings = config();
+    const key = isValidObjectKey(requestedKey)
+      ? requestedKey
+      : createObjectKey(contentType);
+    const url = objectUrl(settings, key);
+
+    await axios.put(url, buffer, {
+      headers: signRequest(
+        "PUT",
+        url,
+        {
+          "Content-Type": contentType,
+          "Content-Length": buffer.length,
+          "Cache-Control": "public, max-age=31536000, immutable",
+        },
+        buffer,
+        settings
+      ),
+      maxBodyLength: Infinity,
+    });
+
+    return { key, url: this.getUrl(key), size: buffer.length };
+  },
+
+  getUrl(key) {
+    const settings = config();
+    return settings.publicUrl
+      ? `${settings.publicUrl}/${key}`
+      : objectUrl(settings, key);
+  },
+
+  async delete(key) {
+    if (!isValidObjectKey(key)) return false;
+
+    const settings = config();
+    const url = objectUrl(settings, key);
+
+    await axios.delete(url, {
+      headers: signRequest("DELETE", url, {}, "", settings),
+    });
+    return true;
+  },
+};
+
+export default s3Driver;
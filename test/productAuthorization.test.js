@@ -0,0 +1,261 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import Product from "../models/Product.js";
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createApp,
+  createUser,
+  createProduct,
+  bearer,
+} from "../testing/helpers.js";
+
+const app = createApp();
+
+const validProduct = {
+  name: "Gitara",
+  category: "Glazbala",
+  image: "https://example.com/guitar.jpg",
+  currentPrice: 250,
+  description: "Akustična gitara u odličnom stanju",
+};
+
+// Auction that ended with a leading bidder (the winner). The end time is
+// moved into the past afterwards; new listings must end in the future.
+const createEndedAuction = async (seller, winner) => {
+  const product = await createProduct(seller, {
+    isBidding: true,
+    biddingEndTime: new Date(Date.now() + 60 * 60 * 1000),
+    bestBidder: winner.username,
+    bestBidderEmail: winner.email,
+    bestBidderId: winner._id,
+  });
+
+  await Product.updateOne(
+    { _id: product._id },
+    {
+      $set: {
+        biddingStatus: "ended",
+        biddingEndTime: new Date(Date.now() - 60 * 1000),
+      },
+    }
+  );
+  return product;
+};
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+describe("POST /api/products", () => {
+  it("rejects requests without a token", async () => {
+    const res = await request(app).post("/api/products").send(validProduct);
+    assert.equal(res.status, 401);
+    assert.equal(await Product.countDocuments(), 0);
+  });
+
+  it("rejects forged tokens", async () => {
+    const token = jwt.sign({ sub: "x", sid: "y" }, "wrong-secret");
+    const res = await request(app)
+      .post("/api/products")
+      .set(bearer(token))
+      .send(validProduct);
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects sellers with an unverified email", async () => {
+    const { token } = await createUser({ emailVerified: false });
+    const res = await request(app)
+      .post("/api/products")
+      .set(bearer(token))
+      .send(validProduct);
+    assert.equal(res.status, 403);
+  });
+
+  it("takes the seller from the token, not the body", async () => {
+    const { user, token } = await createUser();
+    const { user: other } = await createUser();
+
+    const res = await request(app)
+      .post("/api/products")
+      .set(bearer(token))
+      .send({
+        ...validProduct,
+        userId: String(other._id),
+        userEmail: other.email,
+      });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.product.userId, String(user._id));
+    assert.equal(res.body.product.userEmail, user.email);
+  });
+});
+
+describe("DELETE /api/products/:id", () => {
+  it("rejects requests without a token", async () => {
+    const { user } = await createUser();
+    const product = await createProduct(user);
+
+    const res = await request(app).delete(`/api/products/${product._id}`);
+    assert.equal(res.status, 401);
+    assert.ok(await Product.exists({ _id: product._id }));
+  });
+
+  it("rejects users who are not the seller", async () => {
+    const { user } = await createUser();
+    const { token } = await createUser();
+    const product = await createProduct(user);
+
+    const res = await request(app)
+      .delete(`/api/products/${product._id}`)
+      .set(bearer(token));
+    assert.equal(res.status, 403);
+    assert.ok(await Product.exists({ _id: product._id }));
+  });
+
+  it("rejects support staff without products:moderate", async () => {
+    const { user } = await createUser();
+    const { token } = await createUser({ role: "support" });
+    const product = await createProduct(user);
+
+    const res = await request(app)
+      .delete(`/api/products/${product._id}`)
+      .set(bearer(token));
+    assert.equal(res.status, 403);
+  });
+
+  it("lets the seller delete the listing", async () => {
+    const { user, token } = await createUser();
+    const product = await createProduct(user);
+
+    const res = await request(app)
+      .delete(`/api/products/${product._id}`)
+      .set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(await Product.exists({ _id: product._id }), false);
+  });
+
+  it("lets a moderator delete the listing", async () => {
+    const { user } = await createUser();
+    const { token } = await createUser({ role: "moderator" });
+    const product = await createProduct(user);
+
+    const res = await request(app)
+      .delete(`/api/products/${product._id}`)
+      .set(bearer(token));
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("POST /api/products/:id/notify-winner", () => {
+  it("rejects requests without a token", async () => {
+    const { user } = await createUser();
+    const { user: winner } = await createUser();
+    const product = await createEndedAuction(user, winner);
+
+    const res = await request(app).post(
+      `/api/products/${product._id}/notify-winner`
+    );
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects users who are not the seller, including the winner", async () => {
+    const { user } = await createUser();
+    const { user: winner, token } = await createUser();
+    const product = await createEndedAuction(user, winner);
+
+    const res = await request(app)
+      .post(`/api/products/${product._id}/notify-winner`)
+      .set(bearer(token));
+    assert.equal(res.status, 403);
+
+    const stored = await Product.findById(product._id);
+    assert.notEqual(stored.winnerNotified, true);
+  });
+
+  it("lets the seller notify the winner", async () => {
+    const { user, token } = await createUser();
+    const { user: winner } = await createUser();
+    const product = await createEndedAuction(user, winner);
+
+    const res = await request(app)
+      .post(`/api/products/${product._id}/notify-winner`)
+      .set(bearer(token));
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("POST /api/products/:id/reserve", () => {
+  it("rejects requests without a token", async () => {
+    const { user } = await createUser();
+    const { user: winner } = await createUser();
+    const product = await createEndedAuction(user, winner);
+
+    const res = await request(app).post(`/api/products/${product._id}/reserve`);
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects users who are neither seller nor winner", async () => {
+    const { user } = await createUser();
+    const { user: winner } = await createUser();
+    const { token } = await createUser();
+    const product = await createEndedAuction(user, winner);
+
+    const res = await request(app)
+      .post(`/api/products/${product._id}/reserve`)
+      .set(bearer(token));
+    assert.equal(res.status, 403);
+
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.reservedForWinner, false);
+  });
+
+  it("lets the winner reserve the product", async () => {
+    const { user } = await createUser();
+    const { user: winner, token } = await createUser();
+    const product = await createEndedAuction(user, winner);
+
+    const res = await request(app)
+      .post(`/api/products/${product._id}/reserve`)
+      .set(bearer(token));
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("POST /api/products/bidding/process-ended", () => {
+  const url = "/api/products/bidding/process-ended";
+
+  it("rejects requests without a token", async () => {
+    const res = await request(app).post(url);
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects users who are not admins", async () => {
+    const { token } = await createUser({ role: "moderator" });
+    const res = await request(app).post(url).set(bearer(token));
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects a wrong service token", async () => {
+    const res = await request(app)
+      .post(url)
+      .set("X-Service-Token", "not-the-service-token");
+    assert.equal(res.status, 403);
+  });
+
+  it("accepts the service token", async () => {
+    const res = await request(app)
+      .post(url)
+      .set("X-Service-Token", process.env.SERVICE_TOKEN);
+    assert.equal(res.status, 200);
+  });
+
+  it("accepts admins", async () => {
+    const { token } = await createUser({ role: "admin" });
+    const res = await request(app).post(url).set(bearer(token));
+    assert.equal(res.status, 200);
+  });
+});
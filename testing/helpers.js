@@ -0,0 +1,113 @@
+import express from "express";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Product from "../models/Product.js";
+import { startSession } from "../auth.js";
+import { setMailTransport } from "../mailer.js";
+import productRoutes from "../products.js";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.SERVICE_TOKEN = process.env.SERVICE_TOKEN || "test-service-token";
+
+// Emails sent during tests are collected here instead of being delivered
+export const sentMail = [];
+setMailTransport({
+  sendMail: async (message) => {
+    sentMail.push(message);
+    return { messageId: `test-${sentMail.length}` };
+  },
+});
+
+let mongod = null;
+
+/**
+ * Connect mongoose to the test database: MONGODB_URI when set (every
+ * collection is emptied between tests, so use a throwaway database),
+ * otherwise an in-memory MongoDB. The in-memory server uses the binary in
+ * MONGOMS_SYSTEM_BINARY or downloads the version pinned in package.json.
+ */
+export const startDatabase = async () => {
+  let uri = process.env.MONGODB_URI;
+  if (!uri) {
+    mongod = await MongoMemoryServer.create();
+    uri = mongod.getUri();
+  }
+
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+};
+
+/**
+ * Disconnect and stop the in-memory MongoDB.
+ */
+export const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+  mongod = null;
+};
+
+/**
+ * Remove all documents between tests.
+ */
+export const clearDatabase = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+/**
+ * Express app with the API routers mounted like in index.js (without the
+ * database connection, rate limits and background jobs).
+ */
+export const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/products", productRoutes);
+  return app;
+};
+
+let userCount = 0;
+
+/**
+ * Create a verified user with a session. Resolves to { user, token }.
+ */
+export const createUser = async ({ role = "user", ...overrides } = {}) => {
+  userCount++;
+  const user = await User.create({
+    name: "Test",
+    surname: `User${userCount}`,
+    oib: String(10000000000 + userCount),
+    address: "Testna ulica 1",
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: "not-a-real-hash",
+    emailVerified: true,
+    role,
+    ...overrides,
+  });
+
+  const { token } = await startSession(user, { headers: {}, ip: "" });
+  return { user, token };
+};
+
+/**
+ * Create a listing owned by a user.
+ */
+export const createProduct = (owner, overrides = {}) =>
+  Product.create({
+    name: "Testni proizvod",
+    category: "Ostalo",
+    image: "https://example.com/image.jpg",
+    currentPrice: 100,
+    description: "Opis testnog proizvoda",
+    userId: String(owner._id),
+    userEmail: owner.email,
+    ...overrides,
+  });
+
+/**
+ * Authorization header for a token.
+ */
+export const bearer = (token) => ({ Authorization: `Bearer ${token}` });
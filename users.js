@@ -1,103 +1,35 @@
 import express from "express";
-import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import { authenticateToken, isAdmin } from "./middlewares.js";
+import User from "./models/User.js";
+import Session from "./models/Session.js";
+import PaymentMethod from "./models/PaymentMethod.js";
+import Product from "./models/Product.js";
+import Order from "./models/Order.js";
+import Notification from "./models/Notification.js";
+import AccountToken from "./models/AccountToken.js";
+import { validateCardInput } from "./payments/cards.js";
+import { getProviderByName } from "./payments/index.js";
+import {
+  authenticateToken,
+  requirePermission,
+  startSession,
+  refreshSession,
+  sendEmailVerification,
+  sendPasswordReset,
+  consumeAccountToken,
+} from "./auth.js";
+import { dispatchNotification } from "./notificationService.js";
+import { deleteProductImages } from "./imageCleanup.js";
+import { ROLES, PERMISSIONS, getPermissionMatrix } from "./permissions.js";
 
 const router = express.Router();
 
-// User Schema
-const userSchema = new mongoose.Schema(
-  {
-    name: {
-      type: String,
-      required: true,
-    },
-    surname: {
-      type: String,
-      required: true,
-    },
-    oib: {
-      type: String,
-      required: true,
-      unique: true,
-      validate: {
-        validator: function (v) {
-          return /^\d{11}$/.test(v);
-        },
-        message: "OIB must be exactly 11 digits",
-      },
-    },
-    address: {
-      type: String,
-      required: true,
-    },
-    cardInfo: {
-      cardNumber: {
-        type: String,
-        required: true,
-        validate: {
-          validator: function (v) {
-            return /^\d{16}$/.test(v);
-          },
-          message: "Card number must be 16 digits",
-        },
-      },
-      expiryDate: {
-        type: String,
-        required: true,
-        validate: {
-          validator: function (v) {
-            return /^(0[1-9]|1[0-2])\/([0-9]{2})$/.test(v);
-          },
-          message: "Expiry date must be in MM/YY format",
-        },
-      },
-    },
-    username: {
-      type: String,
-      required: true,
-      unique: true,
-    },
-    email: {
-      type: String,
-      required: true,
-      unique: true,
-      validate: {
-        validator: function (v) {
-          return /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/.test(v);
-        },
-        message: "Please enter a valid email",
-      },
-    },
-    password: {
-      type: String,
-      required: true,
-    },
-    role: {
-      type: String,
-      enum: ["user", "admin"],
-      default: "user",
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-  },
-  { collection: "korisnici", versionKey: false }
-);
-
-const User = mongoose.model("User", userSchema);
+const MIN_PASSWORD_LENGTH = 8;
 
 // Register route
 router.post("/register", async (req, res) => {
   try {
-    console.log("🔍 Registration request received:", req.body);
-
-    const { name, surname, oib, address, cardInfo, username, email, password } =
-      req.body;
-
-    console.log("📋 Extracted registration data:", {
+    const {
       name,
       surname,
       oib,
@@ -105,8 +37,22 @@ router.post("/register", async (req, res) => {
       cardInfo,
       username,
       email,
-      password: password ? "[HIDDEN]" : "undefined",
-    });
+      password,
+      language,
+    } = req.body;
+
+    console.log("📋 Registration request received:", { username, email });
+
+    // Card details are optional; they are tokenised, never stored raw
+    if (cardInfo) {
+      const cardErrors = validateCardInput(cardInfo);
+      if (cardErrors.length > 0) {
+        return res.status(400).json({
+          message: "Invalid card",
+          errors: cardErrors,
+        });
+      }
+    }
 
     // Check existing user
     const userExists = await User.findOne({
@@ -134,14 +80,24 @@ router.post("/register", async (req, res) => {
       surname,
       oib,
       address,
-      cardInfo,
       username,
       email,
       password: hashedPassword,
       role: "user", // Default role
+      language: language === "en" ? "en" : "hr",
     });
 
     console.log("✅ User created successfully:", user._id);
+
+    if (cardInfo) {
+      await PaymentMethod.addCard(user._id, {
+        cardNumber: cardInfo.cardNumber,
+        expiryDate: cardInfo.expiryDate,
+      });
+    }
+
+    dispatchNotification(sendEmailVerification(user), "email verification");
+
     res.status(201).json({
       message: "User registered successfully",
       userId: user._id,
@@ -163,36 +119,31 @@ router.post("/login", async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // Find user
+    // Find user and verify password
     const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(401).json({
-        message: "Invalid credentials",
-      });
-    }
+    const isValid = user
+      ? await bcrypt.compare(password, user.password)
+      : false;
 
-    // Verify password
-    const isValid = await bcrypt.compare(password, user.password);
     if (!isValid) {
+      // Counts towards the account lockout (configured in index.js)
+      if (req.loginAttempt) await req.loginAttempt.failed();
       return res.status(401).json({
         message: "Invalid credentials",
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        role: user.role,
-      },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "24h" }
-    );
+    if (req.loginAttempt) await req.loginAttempt.succeeded();
+
+    // Open a session: short-lived access token plus refresh token
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       token,
+      refreshToken,
       userId: user._id,
       role: user.role,
+      emailVerified: user.emailVerified,
     });
   } catch (error) {
     res.status(500).json({
@@ -212,8 +163,7 @@ router.post("/create-admin", async (req, res) => {
       });
     }
 
-    const { name, surname, oib, address, cardInfo, username, email, password } =
-      req.body;
+    const { name, surname, oib, address, username, email, password } = req.body;
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -222,13 +172,14 @@ router.post("/create-admin", async (req, res) => {
       surname,
       oib,
       address,
-      cardInfo,
       username,
       email,
       password: hashedPassword,
       role: "admin",
     });
 
+    dispatchNotification(sendEmailVerification(admin), "email verification");
+
     res.status(201).json({
       message: "Admin account created successfully",
       userId: admin._id,
@@ -240,22 +191,25 @@ router.post("/create-admin", async (req, res) => {
   }
 });
 
-// Get all users (admin only)
-router.get("/users", authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const users = await User.find().select("-password -cardInfo");
-    res.json(users);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+// Get all users (staff with users:read)
+router.get(
+  "/users",
+  authenticateToken,
+  requirePermission("users:read"),
+  async (req, res) => {
+    try {
+      const users = await User.find().select("-password");
+      res.json(users);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
   }
-});
+);
 
 // Get user route
 router.get("/user/:id", authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select(
-      "-password -cardInfo"
-    );
+    const user = await User.findById(req.params.id).select("-password");
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -265,51 +219,598 @@ router.get("/user/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// Logout route (blacklist token)
+// Exchange a refresh token for new tokens (the refresh token is rotated)
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout route (revokes the current session)
 router.post("/logout", authenticateToken, async (req, res) => {
-  // In a production environment, you would want to blacklist the token
-  // For now, we'll just send a success response
-  res.json({ message: "Logged out successfully" });
+  try {
+    await req.authSession.revoke("logout");
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 });
 
-// Delete user route (admin only)
-router.delete("/user/:id", authenticateToken, isAdmin, async (req, res) => {
+// Log out of all devices
+router.post("/logout-all", authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    const result = await Session.revokeAllForUser(req.user._id);
+    res.json({
+      message: "Logged out of all devices",
+      revokedSessions: result.nModified,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List active sessions of the current user
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+    res.json(
+      sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id),
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: "Invalid session ID" });
     }
 
-    if (user.role === "admin") {
-      return res.status(400).json({ message: "Cannot delete admin user" });
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
     }
 
-    await User.findByIdAndDelete(req.params.id);
-    res.json({ message: "User deleted successfully" });
+    await session.revoke("revoked");
+    res.json({ message: "Session revoked" });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Promote user to admin (admin only)
-router.patch("/promote/:id", authenticateToken, isAdmin, async (req, res) => {
+// Fields users may change on their own profile
+const PROFILE_FIELDS = [
+  "name",
+  "surname",
+  "address",
+  "email",
+  "username",
+  "language",
+];
+
+const OPEN_ORDER_STATUSES = ["pending", "paid", "shipped"];
+
+// Reasons the account cannot be deleted yet (empty when it can)
+const getAccountDeletionBlockers = async (user) => {
+  const userId = String(user._id);
+  const blockers = [];
+
+  // Bidders and winners would lose the item
+  const auctionsWithBids = await Product.find({
+    userId,
+    isBidding: true,
+    $or: [
+      { biddingStatus: "active", "bidHistory.0": { $exists: true } },
+      { reservedForWinner: true },
+    ],
+  }).select("name");
+  if (auctionsWithBids.length > 0) {
+    blockers.push({
+      reason: "Auctions with bids or awaiting the winner's purchase",
+      products: auctionsWithBids.map((p) => ({ id: p._id, name: p.name })),
+    });
+  }
+
+  const leadingOrWon = await Product.find({
+    bestBidderId: user._id,
+    $or: [
+      { biddingStatus: "active" },
+      {
+        biddingStatus: { $in: ["ended", "reserved"] },
+        reservedForWinner: true,
+      },
+    ],
+  }).select("name biddingStatus");
+  if (leadingOrWon.length > 0) {
+    blockers.push({
+      reason: "Leading bids or won auctions awaiting purchase",
+      products: leadingOrWon.map((p) => ({
+        id: p._id,
+        name: p.name,
+        biddingStatus: p.biddingStatus,
+      })),
+    });
+  }
+
+  const openOrders = await Order.find({
+    status: { $in: OPEN_ORDER_STATUSES },
+    $or: [{ buyerId: user._id }, { "items.sellerId": userId }],
+  }).select("orderNumber status");
+  if (openOrders.length > 0) {
+    blockers.push({
+      reason: "Open orders",
+      orders: openOrders.map((o) => ({
+        orderNumber: o.orderNumber,
+        status: o.status,
+      })),
+    });
+  }
+
+  if (user.role === "admin") {
+    const adminCount = await User.countDocuments({ role: "admin" });
+    if (adminCount <= 1) {
+      blockers.push({ reason: "The last admin account cannot be deleted" });
+    }
+  }
+
+  return blockers;
+};
+
+// Remove everything that belongs to a deleted account. Orders are kept
+// for the other party's records.
+const deleteAccountData = async (user) => {
+  const userId = String(user._id);
+
+  // Listings without bids or orders are removed with the account, with
+  // their photos; the others stay, hidden, for the bidders' and buyers'
+  // records
+  const orderedProductIds = await Order.distinct("items.productId", {
+    "items.sellerId": userId,
+  });
+  const products = await Product.find({
+    userId,
+    "bidHistory.0": { $exists: false },
+    _id: { $nin: orderedProductIds },
+  }).select("_id");
+  const productIds = products.map((product) => product._id);
+
+  await Product.deleteMany({ _id: { $in: productIds } });
+  for (const productId of productIds) {
+    await deleteProductImages(productId);
+  }
+  await Product.updateMany(
+    { userId },
+    {
+      $set: {
+        isHidden: true,
+        hiddenAt: new Date(),
+        hiddenReason: "Seller account deleted",
+      },
+    }
+  );
+
+  // Drop hidden proxy maximums on other auctions (never the leader here)
+  await Product.updateMany(
+    { "proxyBids.bidderId": user._id },
+    { $pull: { proxyBids: { bidderId: user._id } }, $inc: { bidVersion: 1 } }
+  );
+
+  const methods = await PaymentMethod.find({ userId: user._id }).select(
+    "+token"
+  );
+  for (const method of methods) {
+    const provider = getProviderByName(method.provider);
+    if (provider) await provider.deletePaymentMethod(method.token);
+  }
+  await PaymentMethod.deleteMany({ userId: user._id });
+  await Notification.deleteMany({ userId: user._id });
+  await AccountToken.deleteMany({ userId: user._id });
+  await Session.revokeAllForUser(user._id, "account-deleted");
+};
+
+// Get the current user's profile
+router.get("/me", authenticateToken, (req, res) => {
+  res.json(req.user);
+});
+
+// Update the current user's profile
+router.patch("/me", authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+
+      const value = String(req.body[field]).trim();
+      if (!value) {
+        return res.status(400).json({ message: `${field} cannot be empty` });
+      }
+      updates[field] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        message: `Nothing to update. Allowed fields: ${PROFILE_FIELDS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Username and email must stay unique
+    const uniqueChecks = [];
+    if (updates.username && updates.username !== req.user.username) {
+      uniqueChecks.push({ username: updates.username });
+    }
+    if (updates.email && updates.email !== req.user.email) {
+      uniqueChecks.push({ email: updates.email });
+    }
+    if (uniqueChecks.length > 0) {
+      const taken = await User.findOne({
+        _id: { $ne: req.user._id },
+        $or: uniqueChecks,
+      });
+      if (taken) {
+        return res.status(409).json({
+          message:
+            taken.username === updates.username
+              ? "Username is already taken"
+              : "Email is already in use",
+        });
+      }
+    }
+
+    const emailChanged = updates.email && updates.email !== req.user.email;
+
+    // A new address has to be verified again
+    if (emailChanged) {
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+    }
+
+    req.user.set(updates);
+    await req.user.save();
+
+    // Keep the seller email on listings in sync
+    if (emailChanged) {
+      await Product.updateMany(
+        { userId: String(req.user._id) },
+        { $set: { userEmail: req.user.email } }
+      );
+      dispatchNotification(
+        sendEmailVerification(req.user),
+        "email verification"
+      );
+    }
+
+    res.json({
+      message: "Profile updated successfully",
+      user: req.user,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Change the current user's password
+router.post("/me/password", authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        message: "Current and new password are required",
+      });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isValid) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Sign out every other device
+    await Session.revokeAllForUser(
+      user._id,
+      "password-changed",
+      req.authSession._id
+    );
+
+    res.json({ message: "Password changed successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete the current user's account (requires the password)
+router.delete("/me", authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    const blockers = await getAccountDeletionBlockers(user);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        message: "Account cannot be deleted yet",
+        blockers,
+      });
+    }
+
+    await deleteAccountData(user);
+    await User.findByIdAndDelete(user._id);
+
+    res.json({ message: "Account deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Verify an email address with the token from the verification email
+router.post("/verify-email", async (req, res) => {
+  try {
+    const result = await consumeAccountToken(
+      req.body.token,
+      "email-verification"
+    );
+    if (!result) {
+      return res.status(400).json({
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    const { user } = result;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Send a new verification email to the current user
+router.post("/verify-email/resend", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendEmailVerification(req.user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Request a password reset link. The answer is the same whether or not the
+// address belongs to an account.
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email: String(email).trim() });
+    if (user) {
+      dispatchNotification(sendPasswordReset(user), "password reset");
+    }
+
+    res.json({
+      message: "If an account with this email exists, a reset link was sent",
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        message: "Token and new password are required",
+      });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      });
     }
 
-    if (user.role === "admin") {
-      return res.status(400).json({ message: "User is already an admin" });
+    const result = await consumeAccountToken(token, "password-reset");
+    if (!result) {
+      return res.status(400).json({
+        message: "Reset link is invalid or has expired",
+      });
     }
 
-    user.role = "admin";
+    // The link arrived by email, which also proves the address
+    const { user } = result;
+    user.password = await bcrypt.hash(newPassword, 10);
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
     await user.save();
 
-    res.json({ message: "User promoted to admin successfully" });
+    await Session.revokeAllForUser(user._id, "password-reset");
+
+    res.json({ message: "Password reset successfully, please log in" });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Delete user route (staff with users:manage)
+router.delete(
+  "/user/:id",
+  authenticateToken,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (user.role === "admin") {
+        return res.status(400).json({ message: "Cannot delete admin user" });
+      }
+
+      // Same rules and cleanup as self-service account deletion
+      const blockers = await getAccountDeletionBlockers(user);
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          message: "User cannot be deleted yet",
+          blockers,
+        });
+      }
+
+      await deleteAccountData(user);
+      await User.findByIdAndDelete(user._id);
+      res.json({ message: "User deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+// Set a user's role; the last admin keeps their role
+const changeUserRole = async (req, res, role) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ message: "Invalid user ID" });
+  }
+
+  if (req.params.id === String(req.user._id)) {
+    return res.status(400).json({ message: "You cannot change your own role" });
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ message: "User not found" });
+  }
+
+  if (user.role === role) {
+    return res.status(400).json({ message: `User already has role "${role}"` });
+  }
+
+  if (user.role === "admin") {
+    const adminCount = await User.countDocuments({ role: "admin" });
+    if (adminCount <= 1) {
+      return res.status(400).json({
+        message: "The last admin cannot lose the admin role",
+      });
+    }
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  console.log(
+    `🔑 Role of ${user.username} changed from "${previousRole}" to "${role}" by ${req.user.username}`
+  );
+
+  res.json({
+    message: "Role updated successfully",
+    userId: user._id,
+    previousRole,
+    role,
+  });
+};
+
+// Roles and their permissions (staff with roles:manage)
+router.get(
+  "/roles",
+  authenticateToken,
+  requirePermission("roles:manage"),
+  (req, res) => {
+    res.json({ roles: getPermissionMatrix(), permissions: PERMISSIONS });
+  }
+);
+
+// Grant a role to a user (staff with roles:manage)
+router.put(
+  "/user/:id/role",
+  authenticateToken,
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          message: "Invalid role",
+          allowedRoles: ROLES,
+        });
+      }
+
+      await changeUserRole(req, res, role);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+// Revoke a user's role, making them a regular user (staff with roles:manage)
+router.delete(
+  "/user/:id/role",
+  authenticateToken,
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      await changeUserRole(req, res, "user");
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 export default router;